@@ -0,0 +1,93 @@
+/**
+ * Move coaching for the GB Chess Engine
+ * Judges a played move by how much of the engine's evaluation it gives away
+ * compared with the engine's best move, and names it the way annotators do:
+ * an inaccuracy, a mistake or a blunder. index.html uses it for coach mode
+ * with searches run in the worker; reviewMove() does the same in one call.
+ */
+
+import { GBResult } from './gbchess.js';
+
+// How a played move compares with the engine's best move
+export const GBMoveQuality = {
+    BEST: 'best',             // the engine's own choice
+    GOOD: 'good',             // close enough to it
+    INACCURACY: 'inaccuracy',
+    MISTAKE: 'mistake',
+    BLUNDER: 'blunder'
+};
+
+// Depth of the searches for the best move and for the played move; both are
+// searched from the position before it, so their scores compare like for like
+export const COACH_DEPTH = 3;
+
+// Centipawns a move may give away before it counts as each fault, worst
+// first; the evaluation's taste for early knight moves puts sound opening
+// moves up to about 80 behind, which is no fault
+const QUALITY_THRESHOLDS = [
+    [GBMoveQuality.BLUNDER, 300],
+    [GBMoveQuality.MISTAKE, 200],
+    [GBMoveQuality.INACCURACY, 100]
+];
+
+// Scores are capped at this many centipawns before comparing, so a slower
+// mate or a smaller win of a won position is not called a blunder
+const SCORE_CAP = 1000;
+
+/**
+ * Score of a finished game for judging the move that ended it
+ * @param {Object|null} result - getGameResult()'s {result, winner}, or null
+ * @returns {number|null} Infinity when White has won, -Infinity when Black
+ *   has, 0 for a draw, or null while the game goes on
+ */
+export function resultScore(result) {
+    if (!result) return null;
+    if (result.result !== GBResult.CHECKMATE) return 0;
+    return result.winner === 'white' ? Infinity : -Infinity;
+}
+
+/**
+ * Judge a move against the engine's best move
+ * @param {Object} best - The engine's best move in the position before, with its score
+ * @param {Object} played - The move played ({fromRow, fromCol, toRow, toCol, promotion?})
+ * @param {number} score - Score of the played move: from a search restricted to
+ *   it at the depth of the best move's, or resultScore() when it ended the game
+ * @param {boolean} white - Whether White played the move
+ * @returns {Object} {quality, loss}: a GBMoveQuality value and the centipawns given away
+ */
+export function judgeMove(best, played, score, white) {
+    const same = best.fromRow === played.fromRow && best.fromCol === played.fromCol &&
+        best.toRow === played.toRow && best.toCol === played.toCol &&
+        (best.promotion || 'Q').toUpperCase() === (played.promotion || 'Q').toUpperCase();
+    if (same) return { quality: GBMoveQuality.BEST, loss: 0 };
+
+    const cap = value => Math.max(-SCORE_CAP, Math.min(SCORE_CAP, value));
+    const loss = Math.max(0, (white ? 1 : -1) * (cap(best.score) - cap(score)));
+    const fault = QUALITY_THRESHOLDS.find(([, threshold]) => loss >= threshold);
+    return { quality: fault ? fault[0] : GBMoveQuality.GOOD, loss };
+}
+
+/**
+ * Search for the best move and for the played move at the same depth and judge it
+ * @param {GBChessGame} game - Game with the move still to be played; left unchanged
+ * @param {Object} move - The move to judge
+ * @param {Object} [options]
+ * @param {number} [options.depth=COACH_DEPTH] - Search depth
+ * @returns {Object} {quality, loss, best}: as judgeMove(), plus the engine's best move
+ * @throws {Error} If the move is not legal
+ */
+export function reviewMove(game, move, { depth = COACH_DEPTH } = {}) {
+    // The coach plays at full strength and thinks instead of using the book
+    const search = game.clone();
+    search.options.book = null;
+    search.options.strength = null;
+
+    const best = search.getBestMove(depth);
+    const played = search.getBestMove({ maxDepth: depth, searchMoves: [move] });
+    if (!played) {
+        throw new Error('Cannot review an illegal move');
+    }
+    search.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+    const score = resultScore(search.getGameResult()) ?? played.score;
+    return { ...judgeMove(best, move, score, game.whiteToMove), best };
+}
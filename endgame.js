@@ -0,0 +1,305 @@
+/**
+ * Endgame knowledge for the GB Chess Engine
+ * Scores the endings the evaluation handles badly on its own: a KPK bitbase
+ * (generated by retrograde analysis on first use) tells won king and pawn
+ * against king endings from drawn ones, mop-up scores drive the lone king to
+ * the edge (or to the right corner for bishop and knight) so KQK, KRK and
+ * KBNK get mated, and endings without enough material to force mate score as
+ * draws.
+ *
+ * Works on GBChessGame's board: board[row][col], row 0 is rank 8, uppercase white.
+ */
+
+// Score of a won ending, above any ordinary evaluation and below mate scores
+export const KNOWN_WIN = 10000;
+
+const PIECE_VALUES = { P: 100, N: 320, B: 330, R: 500, Q: 900 };
+
+// A won KPK scores a pawn plus this per rank advanced: enough to push on, not
+// so much that giving up a second pawn to reach it looks good
+const KPK_ADVANCE = 20;
+
+// Mop-up weights: per step the lone king is from the centre (or the mating
+// corner) and per step the kings are closer together
+const MOPUP_EDGE = 20;
+const MOPUP_CLOSE = 10;
+
+// KPK positions are stored with the pawn side as White and the pawn on files
+// a-d, ranks 2-7: white king (6 bits), black king (6), side to move (1),
+// pawn file (2) and pawn rank (3 bits, 6 values)
+const KPK_SIZE = 2 * 64 * 64 * 4 * 6;
+
+// Classification while generating; the flags combine in kpkClassify()
+const KPK_INVALID = 0;
+const KPK_UNKNOWN = 1;
+const KPK_DRAW = 2;
+const KPK_WIN = 4;
+
+const WHITE = 0;
+const BLACK = 1;
+
+// Squares in the bitbase count from a1 = 0 to h8 = 63, rank by rank
+const rankOf = square => square >> 3;
+const fileOf = square => square & 7;
+const distance = (a, b) => Math.max(Math.abs(rankOf(a) - rankOf(b)), Math.abs(fileOf(a) - fileOf(b)));
+
+// King moves from each bitbase square
+const KING_TARGETS = Array.from({ length: 64 }, (_, square) => {
+    const targets = [];
+    for (let to = 0; to < 64; to++) {
+        if (to !== square && distance(square, to) === 1) targets.push(to);
+    }
+    return targets;
+});
+
+// The generated bitbase: one bit per index, set when the pawn side wins
+let kpkBits = null;
+
+/**
+ * Bitbase index of a normalised KPK position
+ */
+function kpkIndex(stm, whiteKing, blackKing, pawn) {
+    return whiteKing | (blackKing << 6) | (stm << 12) | (fileOf(pawn) << 13) | ((6 - rankOf(pawn)) << 15);
+}
+
+function pawnAttacks(pawn, square) {
+    return rankOf(square) === rankOf(pawn) + 1 && Math.abs(fileOf(square) - fileOf(pawn)) === 1;
+}
+
+/**
+ * Classify a position from the rules alone: impossible, won or drawn at
+ * once, or UNKNOWN until its successors are known
+ */
+function kpkInitial(index) {
+    const whiteKing = index & 63;
+    const blackKing = (index >> 6) & 63;
+    const stm = (index >> 12) & 1;
+    const pawn = (6 - (index >> 15)) * 8 + ((index >> 13) & 3);
+
+    if (distance(whiteKing, blackKing) <= 1 || whiteKing === pawn || blackKing === pawn ||
+        (stm === WHITE && pawnAttacks(pawn, blackKing))) {
+        return KPK_INVALID;
+    }
+
+    // The pawn promotes and the new queen cannot be taken
+    const promotion = pawn + 8;
+    if (stm === WHITE && rankOf(pawn) === 6 && whiteKing !== promotion && blackKing !== promotion &&
+        (distance(blackKing, promotion) > 1 || distance(whiteKing, promotion) === 1)) {
+        return KPK_WIN;
+    }
+
+    if (stm === BLACK) {
+        const safe = KING_TARGETS[blackKing].filter(square =>
+            distance(square, whiteKing) > 1 && !pawnAttacks(pawn, square));
+        // The pawn is lost, or Black is stalemated (or mated)
+        if (safe.includes(pawn)) return KPK_DRAW;
+        if (safe.length === 0) return pawnAttacks(pawn, blackKing) ? KPK_WIN : KPK_DRAW;
+    }
+
+    return KPK_UNKNOWN;
+}
+
+/**
+ * Classify a position from its successors: White needs one winning move,
+ * Black one drawing move; otherwise it stays UNKNOWN until they are known
+ */
+function kpkClassify(db, index) {
+    const whiteKing = index & 63;
+    const blackKing = (index >> 6) & 63;
+    const stm = (index >> 12) & 1;
+    const pawn = (6 - (index >> 15)) * 8 + ((index >> 13) & 3);
+
+    let result = KPK_INVALID;
+    if (stm === WHITE) {
+        for (const square of KING_TARGETS[whiteKing]) {
+            result |= db[kpkIndex(BLACK, square, blackKing, pawn)];
+        }
+        // Pushes onto a king's square index invalid positions and so add nothing
+        if (rankOf(pawn) < 6) {
+            result |= db[kpkIndex(BLACK, whiteKing, blackKing, pawn + 8)];
+        }
+        if (rankOf(pawn) === 1 && pawn + 8 !== whiteKing && pawn + 8 !== blackKing) {
+            result |= db[kpkIndex(BLACK, whiteKing, blackKing, pawn + 16)];
+        }
+        return result & KPK_WIN ? KPK_WIN : result & KPK_UNKNOWN ? KPK_UNKNOWN : KPK_DRAW;
+    }
+
+    for (const square of KING_TARGETS[blackKing]) {
+        result |= db[kpkIndex(WHITE, whiteKing, square, pawn)];
+    }
+    return result & KPK_DRAW ? KPK_DRAW : result & KPK_UNKNOWN ? KPK_UNKNOWN : KPK_WIN;
+}
+
+/**
+ * Generate the KPK bitbase by retrograde analysis; positions never proven
+ * won are draws
+ * @returns {Uint32Array} One bit per bitbase index, set for wins
+ */
+export function generateKPK() {
+    const db = new Uint8Array(KPK_SIZE);
+    for (let index = 0; index < KPK_SIZE; index++) {
+        db[index] = kpkInitial(index);
+    }
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let index = 0; index < KPK_SIZE; index++) {
+            if (db[index] !== KPK_UNKNOWN) continue;
+            const result = kpkClassify(db, index);
+            if (result !== KPK_UNKNOWN) {
+                db[index] = result;
+                changed = true;
+            }
+        }
+    }
+
+    const bits = new Uint32Array(KPK_SIZE / 32);
+    for (let index = 0; index < KPK_SIZE; index++) {
+        if (db[index] === KPK_WIN) bits[index >>> 5] |= 1 << (index & 31);
+    }
+    return bits;
+}
+
+/**
+ * Count the pieces on the board and find the kings
+ * @returns {Object} {counts, squares}: counts per piece character, squares
+ *   lists each piece's squares as row * 8 + col
+ */
+function materialOf(board) {
+    const counts = { P: 0, N: 0, B: 0, R: 0, Q: 0, K: 0, p: 0, n: 0, b: 0, r: 0, q: 0, k: 0 };
+    const squares = { P: [], N: [], B: [], R: [], Q: [], K: [], p: [], n: [], b: [], r: [], q: [], k: [] };
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            const piece = board[r][c];
+            if (piece === '.') continue;
+            counts[piece]++;
+            squares[piece].push(r * 8 + c);
+        }
+    }
+    return { counts, squares };
+}
+
+/**
+ * Look up a king and pawn against king position
+ * @param {Array<Array<string>>} board - Board with only the two kings and one pawn
+ * @param {boolean} whiteToMove - Side to move
+ * @returns {boolean|null} Whether the side with the pawn wins, or null if the
+ *   position is not KPK
+ */
+export function probeKPK(board, whiteToMove) {
+    const { counts, squares } = materialOf(board);
+    const pieces = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    if (pieces !== 3 || counts.P + counts.p !== 1) return null;
+    return probeKPKSquares(squares, counts.P === 1, whiteToMove);
+}
+
+/**
+ * probeKPK() for squares already found by materialOf()
+ */
+function probeKPKSquares(squares, pawnIsWhite, whiteToMove) {
+    if (!kpkBits) kpkBits = generateKPK();
+
+    // To bitbase squares with the pawn side as White, pawn on files a-d
+    const [strongKing, pawn, weakKing] = pawnIsWhite
+        ? [squares.K[0], squares.P[0], squares.k[0]]
+        : [squares.k[0], squares.p[0], squares.K[0]];
+    const mirror = (pawn & 7) > 3;
+    const convert = square => {
+        const row = square >> 3;
+        const col = square & 7;
+        return (pawnIsWhite ? 7 - row : row) * 8 + (mirror ? 7 - col : col);
+    };
+
+    const stm = whiteToMove === pawnIsWhite ? WHITE : BLACK;
+    const index = kpkIndex(stm, convert(strongKing), convert(weakKing), convert(pawn));
+    return ((kpkBits[index >>> 5] >>> (index & 31)) & 1) === 1;
+}
+
+// Steps from a board square to the nearest of the four centre squares
+function centerDistance(square) {
+    const row = square >> 3;
+    const col = square & 7;
+    return Math.max(3 - row, row - 4, 0) + Math.max(3 - col, col - 4, 0);
+}
+
+function kingDistance(a, b) {
+    return Math.max(Math.abs((a >> 3) - (b >> 3)), Math.abs((a & 7) - (b & 7)));
+}
+
+/**
+ * Score an ending the evaluation does not understand
+ * @param {Array<Array<string>>} board - Position to score
+ * @param {boolean} whiteToMove - Side to move
+ * @returns {number|null} Score in centipawns from White's point of view, or
+ *   null when no rule applies and the normal evaluation should be used
+ */
+export function evaluateEndgame(board, whiteToMove) {
+    // Every rule needs a bare king or at most one man a side; check that
+    // cheaply first, as the search asks at every leaf
+    let white = 0;
+    let black = 0;
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            const piece = board[r][c];
+            if (piece === '.' || piece === 'K' || piece === 'k') continue;
+            if (piece < 'a') white++;
+            else black++;
+        }
+        if (white > 0 && black > 0 && white + black > 2) return null;
+    }
+
+    const { counts, squares } = materialOf(board);
+    const whitePawns = counts.P;
+    const blackPawns = counts.p;
+    const whitePieces = counts.N + counts.B + counts.R + counts.Q;
+    const blackPieces = counts.n + counts.b + counts.r + counts.q;
+
+    // King and pawn against king: won or drawn
+    if (whitePieces + blackPieces === 0 && whitePawns + blackPawns === 1) {
+        const pawnIsWhite = whitePawns === 1;
+        if (!probeKPKSquares(squares, pawnIsWhite, whiteToMove)) return 0;
+
+        const row = (pawnIsWhite ? squares.P[0] : squares.p[0]) >> 3;
+        const score = PIECE_VALUES.P + KPK_ADVANCE * (pawnIsWhite ? 6 - row : row - 1);
+        return pawnIsWhite ? score : -score;
+    }
+
+    // No pawns and at most a minor piece each, or two knights against a
+    // bare king: mate cannot be forced
+    if (whitePawns + blackPawns === 0) {
+        const minorsOnly = (pieces, knights, bishops) => pieces === knights + bishops && pieces <= 1;
+        if (minorsOnly(whitePieces, counts.N, counts.B) && minorsOnly(blackPieces, counts.n, counts.b)) return 0;
+        if ((whitePieces === 2 && counts.N === 2 && blackPieces === 0) ||
+            (blackPieces === 2 && counts.n === 2 && whitePieces === 0)) {
+            return 0;
+        }
+    }
+
+    // Mop-up: mating material (pawns aside) against a bare king
+    const strongIsWhite = blackPieces + blackPawns === 0;
+    if (!strongIsWhite && whitePieces + whitePawns > 0) return null;
+    const [knights, bishops, rooks, queens, pawns] =
+        (strongIsWhite ? ['N', 'B', 'R', 'Q', 'P'] : ['n', 'b', 'r', 'q', 'p']).map(piece => counts[piece]);
+    if (queens + rooks === 0 && bishops < 2 && !(bishops === 1 && knights >= 1)) return null;
+
+    const strongKing = strongIsWhite ? squares.K[0] : squares.k[0];
+    const weakKing = strongIsWhite ? squares.k[0] : squares.K[0];
+    let score = KNOWN_WIN + pawns * PIECE_VALUES.P +
+        knights * PIECE_VALUES.N + bishops * PIECE_VALUES.B + rooks * PIECE_VALUES.R + queens * PIECE_VALUES.Q +
+        MOPUP_CLOSE * (7 - kingDistance(strongKing, weakKing));
+
+    if (queens + rooks + pawns === 0 && bishops === 1) {
+        // Bishop and knight mate only in a corner of the bishop's colour: push
+        // the king away from the long diagonal between the other two corners
+        const bishop = squares[strongIsWhite ? 'B' : 'b'][0];
+        const row = weakKing >> 3;
+        const col = weakKing & 7;
+        const light = ((bishop >> 3) + (bishop & 7)) % 2 === 0;
+        score += MOPUP_EDGE * (light ? Math.abs(7 - row - col) : Math.abs(row - col));
+    } else {
+        score += MOPUP_EDGE * centerDistance(weakKing);
+    }
+
+    return strongIsWhite ? score : -score;
+}
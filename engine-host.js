@@ -0,0 +1,199 @@
+/**
+ * Main-thread front end for engine-worker.js
+ * Sends search requests to a worker (a module Web Worker in the browser, a
+ * worker_threads worker in Node) so a long search never blocks the page or
+ * the event loop. Progress is streamed to a callback and results come back
+ * as promises.
+ */
+
+/**
+ * Start engine-worker.js the way the platform supports
+ * @returns {Promise<Worker>} Browser Worker or worker_threads Worker
+ */
+async function createDefaultWorker() {
+    const url = new URL('./engine-worker.js', import.meta.url);
+    if (typeof Worker !== 'undefined') {
+        return new Worker(url, { type: 'module' });
+    }
+    const { Worker: ThreadWorker } = await import('node:worker_threads');
+    return new ThreadWorker(url);
+}
+
+/**
+ * Runs searches in a worker, one at a time
+ */
+export class EngineHost {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.createWorker] - Returns (or resolves to) a new worker
+     *   running engine-worker.js; the default picks a Web Worker or worker_threads
+     */
+    constructor({ createWorker = createDefaultWorker } = {}) {
+        this._createWorker = createWorker;
+
+        // Promise of the running worker; started by the first search and again after stop()
+        this._worker = null;
+
+        // The search in progress: {id, resolve, reject, onInfo, lastInfo, stopRequested}
+        this._pending = null;
+        this._nextId = 1;
+    }
+
+    /**
+     * Whether a search is in progress
+     * @returns {boolean}
+     */
+    get busy() {
+        return this._pending !== null;
+    }
+
+    /**
+     * Search a position in the worker
+     * @param {Object} [request]
+     * @param {string} [request.fen] - Starting position (default: the standard start position)
+     * @param {Array<string>} [request.moves] - Moves played from it in UCI notation, so
+     *   repetitions and the fifty-move count are known to the search
+     * @param {Object} [request.options] - getBestMove() limits: maxDepth, timeMs, nodes, searchMoves
+     * @param {Object} [request.gameOptions] - GBChessGame options: hashSize, quiescence, moveOrdering,
+     *   endgame, personality, weights, evaluator, bookSelection, strength, seed, and book: true to use
+     *   the built-in opening book
+     * @param {Function} [request.onInfo] - Called with getBestMove()'s report after each completed depth
+     * @returns {Promise<Object|null>} Best move with its score, or null if there is no legal move
+     * @throws {Error} Rejects if a search is already running, the position or a move is
+     *   invalid, or the worker fails
+     */
+    async search({ fen, moves = [], options = {}, gameOptions = {}, onInfo } = {}) {
+        if (this._pending) {
+            throw new Error('A search is already running');
+        }
+
+        const id = this._nextId++;
+        const result = new Promise((resolve, reject) => {
+            this._pending = { id, resolve, reject, onInfo, lastInfo: null, stopRequested: false };
+        });
+
+        let worker;
+        try {
+            worker = await this._start();
+        } catch (error) {
+            this._pending = null;
+            throw error;
+        }
+
+        // Functions and signals cannot be posted; only the limits are passed on
+        const { maxDepth, timeMs, nodes, searchMoves } = options;
+        worker.postMessage({ id, type: 'search', fen, moves, options: { maxDepth, timeMs, nodes, searchMoves }, gameOptions });
+        return result;
+    }
+
+    /**
+     * Stop the running search and play now: its promise resolves with the move
+     * chosen at the last completed depth, as the game's strength level would
+     * choose it (depth 1 is waited for if it has not
+     * finished yet). A search cannot be interrupted from outside its thread,
+     * so the worker is shut down and the next search starts a new one.
+     */
+    stop() {
+        const pending = this._pending;
+        if (!pending) return;
+
+        if (!pending.lastInfo) {
+            pending.stopRequested = true;
+            return;
+        }
+
+        this._pending = null;
+        this._shutdown();
+        pending.resolve(pending.lastInfo.choice);
+    }
+
+    /**
+     * Shut the worker down (stopping any search as stop() does). Node keeps
+     * running while a worker is alive, so call this when done with the engine.
+     */
+    terminate() {
+        if (this._pending) {
+            // Nothing to play yet: the search just ends without a move
+            const pending = this._pending;
+            this._pending = null;
+            pending.resolve(pending.lastInfo ? pending.lastInfo.choice : null);
+        }
+        this._shutdown();
+    }
+
+    /**
+     * Get the worker, starting one if needed
+     * @returns {Promise<Object>}
+     */
+    _start() {
+        if (!this._worker) {
+            this._worker = Promise.resolve(this._createWorker()).then(worker => {
+                this._listen(worker);
+                return worker;
+            });
+            this._worker.catch(() => {
+                this._worker = null;
+            });
+        }
+        return this._worker;
+    }
+
+    /**
+     * Subscribe to a worker's messages and errors (Web Worker or worker_threads style)
+     */
+    _listen(worker) {
+        const fail = error => {
+            if (this._worker) this._shutdown();
+            const pending = this._pending;
+            this._pending = null;
+            if (pending) pending.reject(error);
+        };
+
+        if (typeof worker.on === 'function') {
+            worker.on('message', message => this._receive(message));
+            worker.on('error', fail);
+        } else {
+            worker.addEventListener('message', event => this._receive(event.data));
+            worker.addEventListener('error', event => {
+                event.preventDefault();
+                fail(new Error(event.message || 'Engine worker failed'));
+            });
+        }
+    }
+
+    /**
+     * Handle a reply from the worker
+     * @param {Object} message - {id, type: 'info' | 'result' | 'error', info, move, message}
+     */
+    _receive({ id, type, info, move, message }) {
+        const pending = this._pending;
+
+        // Replies to a stopped search may still be on their way
+        if (!pending || pending.id !== id) return;
+
+        if (type === 'info') {
+            pending.lastInfo = info;
+            if (pending.onInfo) pending.onInfo(info);
+            if (pending.stopRequested) this.stop();
+            return;
+        }
+
+        this._pending = null;
+        if (type === 'result') {
+            pending.resolve(move);
+        } else {
+            pending.reject(new Error(message));
+        }
+    }
+
+    /**
+     * Terminate the worker, if one is running
+     */
+    _shutdown() {
+        const worker = this._worker;
+        this._worker = null;
+        if (worker) {
+            worker.then(w => w.terminate(), () => {});
+        }
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Engine worker for the GB Chess Engine
+ * Runs searches off the main thread, as a browser Web Worker
+ * (new Worker('engine-worker.js', { type: 'module' })) or a Node
+ * worker_threads worker. Drive it with EngineHost from engine-host.js.
+ *
+ * Requests:  {id, type: 'search', fen, moves, options, gameOptions}
+ * Replies:   {id, type: 'info', info}    after each completed depth
+ *            {id, type: 'result', move}  best move, or null with no legal move
+ *            {id, type: 'error', message}
+ *
+ * gameOptions are GBChessGame options, except that book is true to play from
+ * the built-in opening book (a book object cannot be posted to a worker), and
+ * seed is the game's seed: each move is chosen with random numbers seeded
+ * from it and the ply, so a game replays exactly without repeating choices.
+ */
+
+import { GBChessGame, TranspositionTable, createRandom } from './gbchess.js';
+import { OpeningBook } from './book.js';
+
+// A Web Worker's global scope, or worker_threads' port to the parent
+const inBrowser = typeof self !== 'undefined' && typeof self.postMessage === 'function';
+const port = inBrowser ? self : (await import('node:worker_threads')).parentPort;
+
+const post = message => port.postMessage(message);
+
+// Transposition table size when the request does not give one, in megabytes
+const DEFAULT_HASH = 16;
+
+// One table for the worker's lifetime, so each search builds on the last;
+// it is emptied when the search settings change
+let hashTable = null;
+let lastSettings = null;
+
+// The built-in opening book, built on first use
+let defaultBook = null;
+
+/**
+ * Run one request and post its replies
+ * @param {Object} request - {id, type, fen, moves, options, gameOptions}
+ */
+function handle({ id, type, fen, moves = [], options = {}, gameOptions = {} }) {
+    if (type !== 'search') {
+        post({ id, type: 'error', message: `Unknown request type '${type}'` });
+        return;
+    }
+
+    try {
+        // The book, strength and seed only change which move is played, not what
+        // the table holds, so switching them keeps the table
+        const { hashSize = DEFAULT_HASH, book = false, strength = null, seed, ...settings } = gameOptions;
+        if (hashSize <= 0) {
+            hashTable = null;
+        } else if (!hashTable || hashTable.size !== hashSize) {
+            hashTable = new TranspositionTable(hashSize);
+        } else if (JSON.stringify(settings) !== lastSettings) {
+            hashTable.clear();
+        }
+        lastSettings = JSON.stringify(settings);
+
+        if (book && !defaultBook) defaultBook = OpeningBook.createDefault();
+
+        const gameSettings = { ...settings, hashSize, hashTable, book: book ? defaultBook : null, strength, seed };
+        const game = fen ? GBChessGame.fromFEN(fen, gameSettings) : new GBChessGame(gameSettings);
+        for (const text of moves) {
+            const move = game.parseUCI(text);
+            game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        }
+        if (seed !== undefined) {
+            game.random = createRandom((seed + Math.imul(game.moveCount, 0x9E3779B9)) >>> 0);
+        }
+
+        const move = game.getBestMove({
+            ...options,
+            onInfo: info => post({ id, type: 'info', info })
+        });
+        post({ id, type: 'result', move });
+    } catch (error) {
+        post({ id, type: 'error', message: error.message });
+    }
+}
+
+if (inBrowser) {
+    self.addEventListener('message', event => handle(event.data));
+} else {
+    port.on('message', handle);
+}
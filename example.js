@@ -3,20 +3,22 @@
  * This demonstrates a basic game loop with AI vs AI
  */
 
-import { GBChessGame, GBDifficulty } from './gbchess.js';
-
-// Helper function to convert coordinates to chess notation
-function toChessNotation(row, col) {
-    const files = 'abcdefgh';
-    const rank = 8 - row;
-    return files[col] + rank;
-}
-
-// Helper function to display move in readable format
-function formatMove(move) {
-    const from = toChessNotation(move.fromRow, move.fromCol);
-    const to = toChessNotation(move.toRow, move.toCol);
-    return `${from}${to}`;
+import { GBChessGame, GBDifficulty, GBResult } from './gbchess.js';
+
+// Helper function to describe how a game ended
+function describeResult({ result, winner }) {
+    switch (result) {
+        case GBResult.CHECKMATE:
+            return `Checkmate! ${winner === 'white' ? 'White' : 'Black'} wins!`;
+        case GBResult.STALEMATE:
+            return 'Stalemate! Draw.';
+        case GBResult.FIFTY_MOVE:
+            return 'Draw by the fifty-move rule.';
+        case GBResult.THREEFOLD_REPETITION:
+            return 'Draw by threefold repetition.';
+        case GBResult.INSUFFICIENT_MATERIAL:
+            return 'Draw by insufficient material.';
+    }
 }
 
 // Play a simple game
@@ -36,33 +38,20 @@ function playGame() {
         // White's turn
         const whiteDiff = GBDifficulty.BEGINNER;
         const whiteMove = game.getBestMove(whiteDiff);
-        
-        if (!whiteMove) {
-            console.log('Game Over! Black wins!');
-            break;
-        }
 
-        console.log(`White plays: ${formatMove(whiteMove)} (score: ${whiteMove.score})`);
-        game.makeMove(whiteMove.fromRow, whiteMove.fromCol, whiteMove.toRow, whiteMove.toCol);
+        console.log(`White plays: ${game.moveToSAN(whiteMove)} (score: ${whiteMove.score})`);
+        game.makeMove(whiteMove.fromRow, whiteMove.fromCol, whiteMove.toRow, whiteMove.toCol, whiteMove.promotion);
         
         if (game.isGameOver()) {
-            console.log('\nFinal Position:');
-            console.log(game.getBoardString());
-            console.log('\nGame Over! White wins!');
             break;
         }
 
         // Black's turn
         const blackDiff = GBDifficulty.EASY;
         const blackMove = game.getBestMove(blackDiff);
-        
-        if (!blackMove) {
-            console.log('Game Over! White wins!');
-            break;
-        }
 
-        console.log(`Black plays: ${formatMove(blackMove)} (score: ${blackMove.score})`);
-        game.makeMove(blackMove.fromRow, blackMove.fromCol, blackMove.toRow, blackMove.toCol);
+        console.log(`Black plays: ${game.moveToSAN(blackMove)} (score: ${blackMove.score})`);
+        game.makeMove(blackMove.fromRow, blackMove.fromCol, blackMove.toRow, blackMove.toCol, blackMove.promotion);
 
         const evaluation = game.evaluate();
         console.log(`Position eval: ${evaluation > 0 ? '+' : ''}${evaluation}`);
@@ -70,6 +59,13 @@ function playGame() {
         moveNumber++;
     }
 
+    const result = game.getGameResult();
+    if (result) {
+        console.log('\nFinal Position:');
+        console.log(game.getBoardString());
+        console.log(`\nGame Over! ${describeResult(result)}`);
+    }
+
     console.log('\n' + '='.repeat(50));
     console.log('Demo complete!');
 }
@@ -89,8 +85,8 @@ function interactiveExample() {
 
     console.log('\n2. Getting AI suggestion for black:');
     const aiMove = game.getBestMove(GBDifficulty.MEDIUM);
-    console.log(`AI suggests: ${formatMove(aiMove)} with score ${aiMove.score}`);
-    game.makeMove(aiMove.fromRow, aiMove.fromCol, aiMove.toRow, aiMove.toCol);
+    console.log(`AI suggests: ${game.moveToSAN(aiMove)} with score ${aiMove.score}`);
+    game.makeMove(aiMove.fromRow, aiMove.fromCol, aiMove.toRow, aiMove.toCol, aiMove.promotion);
     console.log(game.getBoardString());
 
     console.log('\n3. Evaluating position:');
@@ -101,7 +97,7 @@ function interactiveExample() {
     console.log('\n4. Checking legal moves:');
     const moves = game.generateMoves();
     console.log(`White has ${moves.length} legal moves`);
-    console.log(`First 5 moves: ${moves.slice(0, 5).map(formatMove).join(', ')}`);
+    console.log(`First 5 moves: ${moves.slice(0, 5).map(m => game.moveToSAN(m)).join(', ')}`);
 }
 
 // Performance comparison
@@ -126,7 +122,7 @@ function performanceComparison() {
         const endTime = performance.now();
         
         const time = (endTime - startTime).toFixed(2);
-        console.log(`${diff.name} (depth ${diff.level}): ${time}ms - ${formatMove(move)}`);
+        console.log(`${diff.name} (depth ${diff.level}): ${time}ms - ${game.moveToSAN(move)}`);
     }
 }
 
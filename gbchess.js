@@ -7,17 +7,71 @@
  * 3. Pawn Structure (Call_002_6faf)
  * 4. Piece Mobility (Call_002_6180)
  * 5. Strategic Bonuses (Call_002_6339)
+ * plus an optional enhanced evaluator built on the same components
  */
 
+import { evaluateEndgame } from './endgame.js';
+
 // Difficulty levels (maps to search depth)
 export const GBDifficulty = {
     BEGINNER: 1,  // Depth 1 (~0.1ms) - Very weak
     EASY: 2,      // Depth 2 (~2-5ms) - GB typical depth
     MEDIUM: 3,    // Depth 3 (~50-200ms) - Decent
-    HARD: 4,      // Depth 4 (~1-5s) - Strong
-    EXPERT: 5     // Depth 5 (~30-150s) - Very strong
+    HARD: 4,      // Depth 4 (~0.1-1.5s) - Strong
+    EXPERT: 5     // Depth 5 (~0.5-5s) - Very strong
+};
+
+// Game outcomes reported by getGameResult()
+export const GBResult = {
+    CHECKMATE: 'checkmate',
+    STALEMATE: 'stalemate',
+    FIFTY_MOVE: 'fifty-move',
+    THREEFOLD_REPETITION: 'threefold-repetition',
+    INSUFFICIENT_MATERIAL: 'insufficient-material'
+};
+
+// Evaluation personalities (see PERSONALITY_WEIGHTS); AUTHENTIC is the 1990 evaluation
+export const GBPersonality = {
+    AUTHENTIC: 'authentic',
+    AGGRESSIVE: 'aggressive',
+    DEFENSIVE: 'defensive',
+    MATERIALISTIC: 'materialistic',
+    POSITIONAL: 'positional'
+};
+
+// Evaluation functions: AUTHENTIC is the 1990 evaluation, ENHANCED adds rook and
+// king tables, middlegame/endgame tapering and pawn structure faults
+export const GBEvaluator = {
+    AUTHENTIC: 'authentic',
+    ENHANCED: 'enhanced'
+};
+
+// How getBestMove() chooses among the opening book's moves for a position
+export const GBBookSelection = {
+    WEIGHTED: 'weighted', // at random, in proportion to the book's weights
+    BEST: 'best'          // always the highest-weighted move
 };
 
+// Playing strengths for the strength option, weakest first: level n is
+// STRENGTH_LEVELS[n - 1]. Each caps the search (maxDepth and/or nodes), then
+// chooses among the best `candidates` root moves: the one scoring best with up
+// to `noise` centipawns of random error added, of those within `window`
+// centipawns of the best move, or with probability `blunder` any candidate at
+// all. Calibrated by engine-vs-engine matches (match.js) so each level beats
+// the one below it.
+export const STRENGTH_LEVELS = [
+    { name: 'Novice', maxDepth: 1, candidates: 8, window: 400, noise: 200, blunder: 0.3 },
+    { name: 'Beginner', maxDepth: 1, candidates: 6, window: 250, noise: 120, blunder: 0.15 },
+    { name: 'Casual', maxDepth: 2, candidates: 5, window: 200, noise: 100, blunder: 0.1 },
+    { name: 'Improver', maxDepth: 2, candidates: 4, window: 120, noise: 60, blunder: 0.05 },
+    { name: 'Club', maxDepth: 3, nodes: 2000, candidates: 4, window: 80, noise: 40, blunder: 0.03 },
+    { name: 'Strong club', maxDepth: 3, nodes: 5000, candidates: 3, window: 50, noise: 25, blunder: 0.01 },
+    { name: 'Expert', nodes: 10000, candidates: 3, window: 30, noise: 15 },
+    { name: 'Candidate master', nodes: 25000, candidates: 2, window: 15, noise: 8 },
+    { name: 'Master', nodes: 60000 },
+    { name: 'Grandmaster', nodes: 150000 }
+];
+
 // Piece values (material scoring)
 const PIECE_VALUES = {
     'P': 100, 'p': -100,
@@ -28,6 +82,11 @@ const PIECE_VALUES = {
     'K': 20000, 'k': -20000
 };
 
+// Piece-square tables are [row][col] as the board is seen from White's side,
+// row 0 being rank 1, so a piece on board row r reads row 7 - r. Black's pieces
+// read row r instead, mirroring the table, except in CENTER_CONTROL_TABLE,
+// which both sides read the same way.
+
 // Position tables (from GB's piece-square tables at $8031)
 const PAWN_POSITION_TABLE = [
     [0,  0,  0,  0,  0,  0,  0,  0],
@@ -53,32 +112,555 @@ const KNIGHT_POSITION_TABLE = [
 
 const CENTER_CONTROL_TABLE = [
     [-20,-10,-10,-10,-10,-10,-10,-20],
-    [-10,  0,  0,  0,  0,  0,  0,-10],
-    [-10,  0,  5, 10, 10,  5,  0,-10],
-    [-10,  5,  5, 10, 10,  5,  5,-10],
-    [-10,  0, 10, 10, 10, 10,  0,-10],
-    [-10, 10, 10, 10, 10, 10, 10,-10],
     [-10,  5,  0,  0,  0,  0,  5,-10],
+    [-10, 10, 10, 10, 10, 10, 10,-10],
+    [-10,  0, 10, 10, 10, 10,  0,-10],
+    [-10,  5,  5, 10, 10,  5,  5,-10],
+    [-10,  0,  5, 10, 10,  5,  0,-10],
+    [-10,  0,  0,  0,  0,  0,  0,-10],
     [-20,-10,-10,-10,-10,-10,-10,-20]
 ];
 
-// Direction offsets for move generation
-const KNIGHT_MOVES = [
-    [-2, -1], [-2, 1], [-1, -2], [-1, 2],
-    [1, -2], [1, 2], [2, -1], [2, 1]
+// Tables for the enhanced evaluator
+const ROOK_POSITION_TABLE = [
+    [ 0,  0,  0,  5,  5,  0,  0,  0],
+    [-5,  0,  0,  0,  0,  0,  0, -5],
+    [-5,  0,  0,  0,  0,  0,  0, -5],
+    [-5,  0,  0,  0,  0,  0,  0, -5],
+    [-5,  0,  0,  0,  0,  0,  0, -5],
+    [-5,  0,  0,  0,  0,  0,  0, -5],
+    [ 5, 10, 10, 10, 10, 10, 10,  5],
+    [ 0,  0,  0,  0,  0,  0,  0,  0]
+];
+
+// Behind its pawns, castled, while there are pieces to attack it
+const KING_MIDDLEGAME_TABLE = [
+    [ 20, 30, 10,  0,  0, 10, 30, 20],
+    [ 20, 20,  0,  0,  0,  0, 20, 20],
+    [-10,-20,-20,-20,-20,-20,-20,-10],
+    [-20,-30,-30,-40,-40,-30,-30,-20],
+    [-30,-40,-40,-50,-50,-40,-40,-30],
+    [-30,-40,-40,-50,-50,-40,-40,-30],
+    [-30,-40,-40,-50,-50,-40,-40,-30],
+    [-30,-40,-40,-50,-50,-40,-40,-30]
 ];
 
-const KING_MOVES = [
-    [-1, -1], [-1, 0], [-1, 1],
-    [0, -1], [0, 1],
-    [1, -1], [1, 0], [1, 1]
+// In the centre once they are gone
+const KING_ENDGAME_TABLE = [
+    [-50,-30,-30,-30,-30,-30,-30,-50],
+    [-30,-30,  0,  0,  0,  0,-30,-30],
+    [-30,-10, 20, 30, 30, 20,-10,-30],
+    [-30,-10, 30, 40, 40, 30,-10,-30],
+    [-30,-10, 30, 40, 40, 30,-10,-30],
+    [-30,-10, 20, 30, 30, 20,-10,-30],
+    [-30,-20,-10,  0,  0,-10,-20,-30],
+    [-50,-40,-30,-20,-20,-30,-40,-50]
 ];
 
+// Endgame pawns are worth more the closer they are to promoting
+const PAWN_ENDGAME_TABLE = [
+    [ 0,  0,  0,  0,  0,  0,  0,  0],
+    [ 0,  0,  0,  0,  0,  0,  0,  0],
+    [10, 10, 10, 10, 10, 10, 10, 10],
+    [20, 20, 20, 20, 20, 20, 20, 20],
+    [30, 30, 30, 30, 30, 30, 30, 30],
+    [50, 50, 50, 50, 50, 50, 50, 50],
+    [80, 80, 80, 80, 80, 80, 80, 80],
+    [ 0,  0,  0,  0,  0,  0,  0,  0]
+];
+
+// Game phase: each side's knights and bishops count 1, rooks 2 and queens 4, so
+// the starting position is MAX_PHASE (pure middlegame) and bare kings and pawns 0
+const PHASE_WEIGHTS = { N: 1, n: 1, B: 1, b: 1, R: 2, r: 2, Q: 4, q: 4 };
+const MAX_PHASE = 24;
+
+// Evaluation terms in the order evaluateDetailed() reports them. _evaluateTerms()
+// writes each as a white/black pair at these offsets.
+const EVAL_TERMS = ['material', 'position', 'kingSafety', 'pawnStructure', 'mobility', 'strategic'];
+const TERM_MATERIAL = 0;
+const TERM_POSITION = 2;
+const TERM_KING_SAFETY = 4;
+const TERM_PAWN_STRUCTURE = 6;
+const TERM_MOBILITY = 8;
+const TERM_STRATEGIC = 10;
+
+// Centre squares for the strategic bonus: d4, e4, d5, e5
+const CENTER_SQUARES = [[3, 3], [3, 4], [4, 3], [4, 4]];
+
+// The 1990 evaluation's weights; options.weights can override any of them
+const AUTHENTIC_WEIGHTS = {
+    pieceValues: { P: 100, N: 320, B: 330, R: 500, Q: 900 },
+    pawnTable: PAWN_POSITION_TABLE,
+    knightTable: KNIGHT_POSITION_TABLE,
+    centerTable: CENTER_CONTROL_TABLE,  // bishops and queens, not mirrored
+    kingSafety: 8,     // per friendly piece next to the king
+    pawnAdvance: 5,    // per rank a pawn has advanced
+    passedPawn: 67,
+    mobility: 2,       // per legal move
+    centerControl: 10  // per centre square attacked
+};
+
+// Extra weights read only by the enhanced evaluator; overridable the same way
+const ENHANCED_WEIGHTS = {
+    rookTable: ROOK_POSITION_TABLE,
+    kingTable: KING_MIDDLEGAME_TABLE,
+    kingEndgameTable: KING_ENDGAME_TABLE,
+    pawnEndgameTable: PAWN_ENDGAME_TABLE,
+    passedPawnEndgame: 120, // replaces passedPawn as the pieces come off
+    doubledPawn: 15,        // per pawn behind another of its side on the file
+    isolatedPawn: 15,       // per pawn with no friendly pawn on a neighbouring file
+    rookOpenFile: 20,       // no pawns on the rook's file
+    rookHalfOpenFile: 10,   // only enemy pawns on it
+    bishopPair: 40
+};
+
+// Chessmaster-style personalities as changes to the authentic weights
+const PERSONALITY_WEIGHTS = {
+    authentic: {},
+    // Wants space and active pieces, and loosens its king to get them
+    aggressive: { mobility: 4, centerControl: 20, pawnAdvance: 8, kingSafety: 4 },
+    // Keeps pieces round its king and its pawns back
+    defensive: { kingSafety: 20, pawnAdvance: 2, mobility: 1, centerControl: 5 },
+    // Values material above everything; position mostly breaks ties
+    materialistic: { pieceValues: { P: 120, N: 360, B: 370, R: 600, Q: 1100 }, mobility: 1, centerControl: 5 },
+    // Gives up a little material for squares, structure and passed pawns
+    positional: { pieceValues: { P: 90 }, mobility: 3, centerControl: 20, passedPawn: 90, kingSafety: 10 }
+};
+
+/**
+ * Work out the evaluation weights for a personality plus overrides
+ * @param {string} personality - A GBPersonality value
+ * @param {Object} [overrides] - Weights to change (pieceValues may be partial)
+ * @returns {Object} Complete weights, with material per board character added
+ * @throws {Error} If the personality is unknown
+ */
+function evaluationWeights(personality, overrides = {}) {
+    const preset = PERSONALITY_WEIGHTS[personality];
+    if (!preset) {
+        throw new Error(`Unknown personality '${personality}'`);
+    }
+
+    const weights = { ...AUTHENTIC_WEIGHTS, ...ENHANCED_WEIGHTS, ...preset, ...overrides };
+    weights.pieceValues = { ...AUTHENTIC_WEIGHTS.pieceValues, ...preset.pieceValues, ...overrides.pieceValues };
+
+    // Kings are always on the board, so they carry no material
+    weights.material = { K: 0, k: 0 };
+    for (const [piece, value] of Object.entries(weights.pieceValues)) {
+        weights.material[piece] = value;
+        weights.material[piece.toLowerCase()] = value;
+    }
+    return weights;
+}
+
+/**
+ * A piece's score from the authentic piece-square tables: pawns and knights
+ * by rank, bishops and queens by the centre table, rooks and kings nothing
+ * @param {Object} weights - From evaluationWeights()
+ * @returns {number}
+ */
+function authenticPosition(weights, piece, r, c) {
+    switch (piece) {
+        case 'P':
+            return weights.pawnTable[7 - r][c];
+        case 'p':
+            return weights.pawnTable[r][c];
+        case 'N':
+            return weights.knightTable[7 - r][c];
+        case 'n':
+            return weights.knightTable[r][c];
+        case 'B':
+        case 'Q':
+        case 'b':
+        case 'q':
+            return weights.centerTable[7 - r][c];
+        default:
+            return 0;
+    }
+}
+
+// The engine plays on a compact 0x88 board: an Int8Array of 128 squares where
+// row r, column c is index r * 16 + c (in hex, row then column: 0x74 is e1).
+// Indices with a bit of 0x88 set are off the board, so one test catches a step
+// past any edge. Pieces are coded by type, positive for white and negative for
+// black, 0 for an empty square.
+const PAWN = 1;
+const KNIGHT = 2;
+const BISHOP = 3;
+const ROOK = 4;
+const QUEEN = 5;
+const KING = 6;
+
+// Board characters to piece codes, and back by code + 6
+const PIECE_CODES = {
+    '.': 0,
+    'P': PAWN, 'p': -PAWN,
+    'N': KNIGHT, 'n': -KNIGHT,
+    'B': BISHOP, 'b': -BISHOP,
+    'R': ROOK, 'r': -ROOK,
+    'Q': QUEEN, 'q': -QUEEN,
+    'K': KING, 'k': -KING
+};
+const PIECE_LETTERS = [...'kqrbnp.PNBRQK'];
+
+// Piece values by code + 6
+const CODE_VALUES = Int32Array.from(PIECE_LETTERS, piece => PIECE_VALUES[piece] || 0);
+
+// Direction offsets for move generation on the 0x88 board
+const KNIGHT_OFFSETS = [-33, -31, -18, -14, 14, 18, 31, 33];
+const KING_OFFSETS = [-17, -16, -15, -1, 1, 15, 16, 17];
+const ROOK_OFFSETS = [-16, 16, -1, 1];
+const BISHOP_OFFSETS = [-17, -15, 15, 17];
+const QUEEN_OFFSETS = [...ROOK_OFFSETS, ...BISHOP_OFFSETS];
+
+// Shared {row, col} objects by square index (row * 8 + col), so moves can set
+// the en passant target without allocating
+const SQUARES = Array.from({ length: 64 }, (_, i) => Object.freeze({ row: i >> 3, col: i & 7 }));
+
+// Pieces a pawn may promote to, strongest first
+const PROMOTION_PIECES = ['Q', 'R', 'B', 'N'];
+
+// Standard starting position in Forsyth-Edwards Notation
+export const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const FILES = 'abcdefgh';
+
+// Zobrist hashing: a random 64-bit key (held as two 32-bit halves) for each
+// piece on each square, black to move, each castling-rights combination and
+// each en passant file. A fixed seed keeps keys, and so search results,
+// identical from run to run.
+const PIECE_INDEX = { P: 0, N: 1, B: 2, R: 3, Q: 4, K: 5, p: 6, n: 7, b: 8, r: 9, q: 10, k: 11 };
+
+function zobristKeys(count, next) {
+    const keys = new Int32Array(count);
+    for (let i = 0; i < count; i++) keys[i] = next();
+    return keys;
+}
+
+const zobristRandom = (() => {
+    let state = 0x2545F491;
+    return () => {
+        // xorshift32
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return state | 0;
+    };
+})();
+
+// Piece keys by (code + 6) * 128 + 0x88 square, drawn in PIECE_INDEX order
+const ZOBRIST_PIECE_LO = new Int32Array(13 * 128);
+const ZOBRIST_PIECE_HI = new Int32Array(13 * 128);
+{
+    const keysLo = zobristKeys(12 * 64, zobristRandom);
+    const keysHi = zobristKeys(12 * 64, zobristRandom);
+    for (const [piece, index] of Object.entries(PIECE_INDEX)) {
+        for (let square = 0; square < 64; square++) {
+            const slot = (PIECE_CODES[piece] + 6) * 128 + (square >> 3) * 16 + (square & 7);
+            ZOBRIST_PIECE_LO[slot] = keysLo[index * 64 + square];
+            ZOBRIST_PIECE_HI[slot] = keysHi[index * 64 + square];
+        }
+    }
+}
+const ZOBRIST_SIDE_LO = zobristRandom();
+const ZOBRIST_SIDE_HI = zobristRandom();
+const ZOBRIST_EP_LO = zobristKeys(8, zobristRandom);
+const ZOBRIST_EP_HI = zobristKeys(8, zobristRandom);
+
+// Keys per castling-rights bitmask (see _castlingMask), built from one key per right
+const ZOBRIST_CASTLING_LO = new Int32Array(16);
+const ZOBRIST_CASTLING_HI = new Int32Array(16);
+{
+    const rightLo = zobristKeys(4, zobristRandom);
+    const rightHi = zobristKeys(4, zobristRandom);
+    for (let mask = 1; mask < 16; mask++) {
+        for (let bit = 0; bit < 4; bit++) {
+            if (mask & (1 << bit)) {
+                ZOBRIST_CASTLING_LO[mask] ^= rightLo[bit];
+                ZOBRIST_CASTLING_HI[mask] ^= rightHi[bit];
+            }
+        }
+    }
+}
+
+// Deepest iteration of a search limited only by time or nodes
+const MAX_SEARCH_DEPTH = 64;
+
+// Score of a checkmate (from White's point of view, negated when Black mates),
+// less one per ply between the root and the mated position so nearer mates
+// score higher; anything beyond MATE_BOUND is a mate
+const MATE_SCORE = 30000;
+const MATE_BOUND = MATE_SCORE - 1000;
+
+// Quiescence search skips captures that cannot bring the score back to alpha
+// even if they win this much more than the captured piece
+const DELTA_MARGIN = 200;
+
+// Move ordering scores: the hash move, then captures and promotions by
+// MVV-LVA, then killer moves, then quiet moves by their history score
+const ORDER_HASH_MOVE = 3000000;
+const ORDER_CAPTURE = 2000000;
+const ORDER_KILLER = 1000000;
+
+// History scores are halved once one passes this, keeping them below the killers
+const HISTORY_LIMIT = 500000;
+
+// Thrown inside the search when a time, node or abort limit is hit; the
+// search catches it and unwinds the moves it had made
+const SEARCH_STOPPED = Symbol('search stopped');
+
+// Transposition table defaults and entry bound types
+const DEFAULT_HASH_SIZE = 16; // megabytes
+const TT_ENTRY_BYTES = 17;
+const TT_EXACT = 1;
+const TT_LOWER = 2; // score is at least the stored value
+const TT_UPPER = 3; // score is at most the stored value
+
+/**
+ * Convert a score for the transposition table: mate scores are stored as the
+ * distance from the node rather than from the root, so an entry stays
+ * correct when the position is reached at another ply
+ */
+function scoreToTable(score, ply) {
+    if (score > MATE_BOUND) return score + ply;
+    if (score < -MATE_BOUND) return score - ply;
+    return score;
+}
+
+/**
+ * Convert a stored score back to the distance from the root (see scoreToTable)
+ */
+function scoreFromTable(score, ply) {
+    if (score > MATE_BOUND) return score - ply;
+    if (score < -MATE_BOUND) return score + ply;
+    return score;
+}
+
+/**
+ * Pack a move into 14 bits for the transposition table (0 means no move;
+ * a move can never start and end on a8)
+ */
+function encodeMove(move) {
+    const promotion = move.promotion ? PROMOTION_PIECES.indexOf(move.promotion) : 0;
+    return ((((move.fromRow * 8 + move.fromCol) << 6) | (move.toRow * 8 + move.toCol)) << 2) | promotion;
+}
+
+/**
+ * Fixed-size table of search results keyed by Zobrist hash. Each slot holds
+ * the key, search depth, bound type, score (White's point of view), best move
+ * and the search it came from.
+ */
+export class TranspositionTable {
+    /**
+     * @param {number} [size=16] - Memory to use in megabytes (rounded down to a power-of-two entry count)
+     */
+    constructor(size = DEFAULT_HASH_SIZE) {
+        const entries = 2 ** Math.floor(Math.log2(Math.max(1, size * 1024 * 1024 / TT_ENTRY_BYTES)));
+        this.size = size;
+        this.mask = entries - 1;
+        this.keysLo = new Int32Array(entries);
+        this.keysHi = new Int32Array(entries);
+        this.scores = new Int32Array(entries);
+        this.moves = new Uint16Array(entries);
+        this.depths = new Int8Array(entries);
+        this.flags = new Uint8Array(entries); // 0 marks an empty slot
+        this.ages = new Uint8Array(entries);
+        this.age = 0;
+    }
+
+    /**
+     * Number of entries the table holds
+     * @returns {number}
+     */
+    get capacity() {
+        return this.mask + 1;
+    }
+
+    /**
+     * Forget every stored position
+     */
+    clear() {
+        this.keysLo.fill(0);
+        this.keysHi.fill(0);
+        this.scores.fill(0);
+        this.moves.fill(0);
+        this.depths.fill(0);
+        this.flags.fill(0);
+        this.ages.fill(0);
+        this.age = 0;
+    }
+
+    /**
+     * Mark the start of a new search; entries from earlier searches are kept
+     * for lookups but give way to new results
+     */
+    newSearch() {
+        this.age = (this.age + 1) & 0xff;
+    }
+
+    /**
+     * Look up a position
+     * @param {number} lo - Low 32 bits of the Zobrist key
+     * @param {number} hi - High 32 bits of the Zobrist key
+     * @returns {number} Slot index to read depths/flags/scores/moves from, or -1 if absent
+     */
+    probe(lo, hi) {
+        const slot = lo & this.mask;
+        return this.flags[slot] !== 0 && this.keysLo[slot] === lo && this.keysHi[slot] === hi ? slot : -1;
+    }
+
+    /**
+     * Store a search result. A slot is only taken over from a deeper result
+     * of the current search if it holds the same position.
+     * @param {number} lo - Low 32 bits of the Zobrist key
+     * @param {number} hi - High 32 bits of the Zobrist key
+     * @param {number} depth - Remaining depth the score was searched to
+     * @param {number} flag - TT_EXACT, TT_LOWER or TT_UPPER
+     * @param {number} score - Score from White's point of view
+     * @param {number} move - Best move from encodeMove(), or 0
+     */
+    store(lo, hi, depth, flag, score, move) {
+        const slot = lo & this.mask;
+        const samePosition = this.flags[slot] !== 0 && this.keysLo[slot] === lo && this.keysHi[slot] === hi;
+        if (this.flags[slot] !== 0 && this.depths[slot] > depth &&
+            (samePosition || this.ages[slot] === this.age)) return;
+
+        this.keysLo[slot] = lo;
+        this.keysHi[slot] = hi;
+        this.depths[slot] = depth;
+        this.flags[slot] = flag;
+        this.scores[slot] = score;
+        this.ages[slot] = this.age;
+        // Keep a known best move when this result has none
+        if (move !== 0 || !samePosition) this.moves[slot] = move;
+    }
+}
+
+/**
+ * Convert board coordinates to a square name
+ * @param {number} row - Row (0-7, 0 is rank 8)
+ * @param {number} col - Column (0-7, 0 is the a-file)
+ * @returns {string} Square name such as "e4"
+ */
+export function squareName(row, col) {
+    return FILES[col] + (8 - row);
+}
+
+/**
+ * Describe a search score, telling mates apart from material advantages
+ * @param {number} score - Score from White's point of view, as in move.score
+ * @returns {Object} {type: 'mate', moves} when a forced mate was found (moves
+ *   counts the mating side's moves and is negative when Black mates), otherwise
+ *   {type: 'cp', value} in centipawns
+ */
+export function describeScore(score) {
+    if (Math.abs(score) > MATE_BOUND) {
+        const moves = Math.ceil((MATE_SCORE - Math.abs(score)) / 2);
+        return { type: 'mate', moves: score > 0 ? moves : -moves };
+    }
+    return { type: 'cp', value: score };
+}
+
+/**
+ * Create a seeded random number generator (mulberry32), so games played at a
+ * limited strength can be replayed exactly
+ * @param {number} [seed] - 32-bit seed; a random one when omitted
+ * @returns {Function} Returns a number in [0, 1) per call, like Math.random
+ */
+export function createRandom(seed = Math.floor(Math.random() * 2 ** 32)) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// The tighter of a search limit and a strength cap, either of which may be unset
+function capLimit(limit, cap) {
+    return cap === undefined ? limit : Math.min(limit ?? Infinity, cap);
+}
+
+/**
+ * Check if a generated move matches the given coordinates and promotion
+ * (a missing promotion on the second move means a queen)
+ * @param {Object} generated - Move from generateMoves()
+ * @param {Object} move - {fromRow, fromCol, toRow, toCol, promotion?}
+ * @returns {boolean}
+ */
+function sameMove(generated, move) {
+    return generated.fromRow === move.fromRow && generated.fromCol === move.fromCol &&
+        generated.toRow === move.toRow && generated.toCol === move.toCol &&
+        (!generated.promotion || generated.promotion === (move.promotion || 'Q').toUpperCase());
+}
+
+/**
+ * Convert a square name to board coordinates
+ * @param {string} name - Square name such as "e4"
+ * @returns {Object|null} {row, col} or null if the name is not a square
+ */
+export function parseSquare(name) {
+    if (typeof name !== 'string' || !/^[a-h][1-8]$/.test(name)) return null;
+    return { row: 8 - Number(name[1]), col: FILES.indexOf(name[0]) };
+}
+
 /**
  * Chess game class representing board state and game logic
  */
 export class GBChessGame {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.hashSize=16] - Transposition table size in megabytes (0 disables it)
+     * @param {boolean} [options.quiescence=true] - Resolve captures at the end of the search;
+     *   false evaluates at the fixed depth like the 1990 original
+     * @param {boolean} [options.moveOrdering=true] - Search likely best moves first (hash move,
+     *   MVV-LVA captures, killers, history); false keeps the board-scan order
+     * @param {string} [options.personality='authentic'] - Evaluation profile, a GBPersonality value
+     * @param {Object} [options.weights] - Evaluation weights overriding the personality's: pieceValues
+     *   ({P, N, B, R, Q}), pawnTable, knightTable, centerTable, kingSafety, pawnAdvance,
+     *   passedPawn, mobility, centerControl, and for the enhanced evaluator rookTable, kingTable,
+     *   kingEndgameTable, pawnEndgameTable, passedPawnEndgame, doubledPawn, isolatedPawn,
+     *   rookOpenFile, rookHalfOpenFile, bishopPair
+     * @param {string} [options.evaluator='authentic'] - Evaluation function, a GBEvaluator value
+     * @param {OpeningBook} [options.book] - Opening book (see book.js) getBestMove() plays from
+     *   while it knows the position; none by default, so every move is searched
+     * @param {string} [options.bookSelection='weighted'] - How book moves are chosen, a GBBookSelection value
+     * @param {boolean} [options.endgame=true] - Score endings the search recognises (KPK from a
+     *   bitbase, mop-up against a bare king, material draws) with endgame.js instead of evaluate()
+     * @param {number|Object} [options.strength] - Playing strength for getBestMove(): a level
+     *   from 1 to STRENGTH_LEVELS.length, or settings like a STRENGTH_LEVELS entry; full
+     *   strength by default
+     * @param {number} [options.seed] - Seed for the random choices of limited strength and
+     *   weighted book moves, to replay a game exactly; random by default
+     * @param {TranspositionTable} [options.hashTable] - Existing table to share, e.g. across games in a match
+     */
+    constructor(options = {}) {
+        const { hashTable = null, ...settings } = options;
+        this.options = {
+            hashSize: DEFAULT_HASH_SIZE,
+            quiescence: true,
+            moveOrdering: true,
+            personality: GBPersonality.AUTHENTIC,
+            evaluator: GBEvaluator.AUTHENTIC,
+            book: null,
+            bookSelection: GBBookSelection.WEIGHTED,
+            endgame: true,
+            strength: null,
+            ...settings
+        };
+        if (!Object.values(GBEvaluator).includes(this.options.evaluator)) {
+            throw new Error(`Unknown evaluator '${this.options.evaluator}'`);
+        }
+        if (typeof this.options.strength === 'number' && !STRENGTH_LEVELS[this.options.strength - 1]) {
+            throw new Error(`Unknown strength level '${this.options.strength}'`);
+        }
+
+        // Random numbers for limited-strength move choice and weighted book moves
+        this.random = createRandom(this.options.seed);
+
+        // Transposition table, created by the first search unless one is shared
+        this.hashTable = hashTable;
+
         // Setup starting position
         this.board = [
             ['r', 'n', 'b', 'q', 'k', 'b', 'n', 'r'],
@@ -90,8 +672,24 @@ export class GBChessGame {
             ['P', 'P', 'P', 'P', 'P', 'P', 'P', 'P'],
             ['R', 'N', 'B', 'Q', 'K', 'B', 'N', 'R']
         ];
+
+        // The position the engine works on, coded as PIECE_CODES describes;
+        // board is a view of it, written after every move and read back when
+        // it has been edited directly (see _syncBoard)
+        this._squares = new Int8Array(128);
+
+        // Number of each piece by code + 6, and the king squares (white, black)
+        this._pieceCounts = new Int8Array(13);
+        this._kingSquares = [-1, -1];
+
+        // Scratch board for endgame.js, which reads the 8x8 layout
+        this._endgameBoard = Array.from({ length: 8 }, () => new Array(8));
+
         this.whiteToMove = true;
         this.moveCount = 0;
+
+        // Plies since the last capture or pawn move (fifty-move rule)
+        this.halfmoveClock = 0;
         
         // Castling rights tracking
         this.castlingRights = {
@@ -100,741 +698,2431 @@ export class GBChessGame {
             blackKingSide: true,
             blackQueenSide: true
         };
+
+        // En passant target square ({row, col}) after a double pawn push, else null
+        this.enPassant = null;
+
+        // Zobrist key halves, kept up to date by the move code (see _computeHash)
+        this._hashLo = 0;
+        this._hashHi = 0;
+        this._loadBoard();
+
+        // Position keys of every position reached, for repetition detection:
+        // as strings, and as the key halves the search compares
+        this._resetPositionHistory();
+
+        // Game record: the starting position, one entry per move made with
+        // makeMove() (with what undo() needs to take it back) and undone moves
+        this.startFEN = START_FEN;
+        this.moveStack = [];
+        this.redoStack = [];
+
+        // Positions visited by the last search
+        this.nodes = 0;
+
+        // Scratch space for evaluate() (see _evaluateTerms)
+        this._evalTerms = new Int32Array(2 * EVAL_TERMS.length);
+
+        // Weights for the current personality and overrides (see _evaluationWeights)
+        this._weightCache = null;
+        this._evaluationWeights();
+
+        // Set while _generateLegalMoves is producing captures only
+        this._capturesOnly = false;
+
+        // Unmake records for moves made in search (see _makeMoveAt)
+        this._unmakeStack = [];
+        this._unmakeCount = 0;
+
+        // Move ordering state for the current search: two killer moves per ply
+        // (quiet moves that caused a cutoff) and a history score per side,
+        // from-square and to-square, both holding encoded moves / counts
+        this._killers = new Uint16Array(2 * (MAX_SEARCH_DEPTH + 1));
+        this._history = new Int32Array(2 * 64 * 64);
+
+        // Unmake stack depth at the root of the running search (see _isRepetition)
+        this._rootPly = 0;
+
+        // Time/node/abort limits of the running getBestMove call, else null
+        this._limits = null;
     }
 
     /**
-     * Make a move on the board
-     * @param {number} fromRow - Source row (0-7)
-     * @param {number} fromCol - Source column (0-7)
-     * @param {number} toRow - Destination row (0-7)
-     * @param {number} toCol - Destination column (0-7)
-     * @returns {boolean} - True if move was valid and made
+     * Create a game from a FEN string
+     * @param {string} fen - Position in Forsyth-Edwards Notation
+     * @param {Object} [options] - Constructor options
+     * @returns {GBChessGame}
+     * @throws {Error} If the FEN is malformed
      */
-    makeMove(fromRow, fromCol, toRow, toCol) {
-        if (!this.isValidMove(fromRow, fromCol, toRow, toCol)) {
-            return false;
+    static fromFEN(fen, options = {}) {
+        if (typeof fen !== 'string') {
+            throw new Error('Invalid FEN: expected a string');
         }
 
-        // Execute move
-        const piece = this.board[fromRow][fromCol];
-        this.board[toRow][toCol] = piece;
-        this.board[fromRow][fromCol] = '.';
+        const fields = fen.trim().split(/\s+/);
+        if (fields.length < 4 || fields.length > 6) {
+            throw new Error(`Invalid FEN: expected 6 fields, got ${fields.length} in "${fen}"`);
+        }
+        const [placement, side, castling, enPassant, halfmove = '0', fullmove = '1'] = fields;
 
-        // Handle castling - move the rook
-        if (piece === 'K' && Math.abs(toCol - fromCol) === 2) {
-            // White castling
-            if (toCol === 6) {
-                // King-side
-                this.board[7][5] = 'R';
-                this.board[7][7] = '.';
-            } else if (toCol === 2) {
-                // Queen-side
-                this.board[7][3] = 'R';
-                this.board[7][0] = '.';
+        // Piece placement
+        const ranks = placement.split('/');
+        if (ranks.length !== 8) {
+            throw new Error(`Invalid FEN: expected 8 ranks, got ${ranks.length}`);
+        }
+        const board = ranks.map((rank, r) => {
+            const row = [];
+            for (const ch of rank) {
+                if (ch >= '1' && ch <= '8') {
+                    for (let i = 0; i < Number(ch); i++) row.push('.');
+                } else if ('PNBRQKpnbrqk'.includes(ch)) {
+                    row.push(ch);
+                } else {
+                    throw new Error(`Invalid FEN: unexpected character '${ch}' in rank ${8 - r}`);
+                }
             }
-        } else if (piece === 'k' && Math.abs(toCol - fromCol) === 2) {
-            // Black castling
-            if (toCol === 6) {
-                // King-side
-                this.board[0][5] = 'r';
-                this.board[0][7] = '.';
-            } else if (toCol === 2) {
-                // Queen-side
-                this.board[0][3] = 'r';
-                this.board[0][0] = '.';
+            if (row.length !== 8) {
+                throw new Error(`Invalid FEN: rank ${8 - r} has ${row.length} squares, expected 8`);
+            }
+            return row;
+        });
+
+        for (const king of ['K', 'k']) {
+            const count = board.flat().filter(p => p === king).length;
+            if (count !== 1) {
+                throw new Error(`Invalid FEN: expected one ${king === 'K' ? 'white' : 'black'} king, found ${count}`);
             }
         }
 
-        // Pawn promotion
-        if ((piece === 'P' && toRow === 0) || (piece === 'p' && toRow === 7)) {
-            this.board[toRow][toCol] = piece === 'P' ? 'Q' : 'q';
+        // Side to move
+        if (side !== 'w' && side !== 'b') {
+            throw new Error(`Invalid FEN: side to move must be 'w' or 'b', got '${side}'`);
         }
 
-        // Update castling rights
-        if (piece === 'K') {
-            this.castlingRights.whiteKingSide = false;
-            this.castlingRights.whiteQueenSide = false;
-        } else if (piece === 'k') {
-            this.castlingRights.blackKingSide = false;
-            this.castlingRights.blackQueenSide = false;
-        } else if (piece === 'R') {
-            if (fromRow === 7 && fromCol === 7) this.castlingRights.whiteKingSide = false;
-            if (fromRow === 7 && fromCol === 0) this.castlingRights.whiteQueenSide = false;
-        } else if (piece === 'r') {
-            if (fromRow === 0 && fromCol === 7) this.castlingRights.blackKingSide = false;
-            if (fromRow === 0 && fromCol === 0) this.castlingRights.blackQueenSide = false;
+        // Castling rights
+        if (castling !== '-' && !/^(K?Q?k?q?)$/.test(castling)) {
+            throw new Error(`Invalid FEN: bad castling rights '${castling}'`);
         }
 
-        this.whiteToMove = !this.whiteToMove;
-        this.moveCount++;
+        // Each right needs its king and rook still on their home squares
+        const homes = { K: [7, 7, 'R'], Q: [7, 0, 'R'], k: [0, 7, 'r'], q: [0, 0, 'r'] };
+        for (const right of castling === '-' ? '' : castling) {
+            const [row, rookCol, rook] = homes[right];
+            if (board[row][4] !== (rook === 'R' ? 'K' : 'k') || board[row][rookCol] !== rook) {
+                throw new Error(`Invalid FEN: castling right '${right}' without king and rook on their home squares`);
+            }
+        }
 
-        return true;
+        // En passant target
+        let epSquare = null;
+        if (enPassant !== '-') {
+            epSquare = parseSquare(enPassant);
+            const expectedRow = side === 'w' ? 2 : 5;
+            if (!epSquare || epSquare.row !== expectedRow) {
+                throw new Error(`Invalid FEN: bad en passant square '${enPassant}'`);
+            }
+
+            // The pawn that just moved two squares stands in front of the
+            // target, and the squares it crossed are empty
+            const { row, col } = epSquare;
+            const forward = side === 'w' ? 1 : -1;
+            if (board[row + forward][col] !== (side === 'w' ? 'p' : 'P') ||
+                board[row][col] !== '.' || board[row - forward][col] !== '.') {
+                throw new Error(`Invalid FEN: no pawn can have just moved past en passant square '${enPassant}'`);
+            }
+        }
+
+        // Move counters
+        if (!/^\d+$/.test(halfmove)) {
+            throw new Error(`Invalid FEN: halfmove clock must be a non-negative integer, got '${halfmove}'`);
+        }
+        if (!/^\d+$/.test(fullmove) || Number(fullmove) < 1) {
+            throw new Error(`Invalid FEN: fullmove number must be a positive integer, got '${fullmove}'`);
+        }
+
+        const game = new GBChessGame(options);
+        game.board = board;
+        game.whiteToMove = side === 'w';
+        game.castlingRights = {
+            whiteKingSide: castling.includes('K'),
+            whiteQueenSide: castling.includes('Q'),
+            blackKingSide: castling.includes('k'),
+            blackQueenSide: castling.includes('q')
+        };
+        game.enPassant = epSquare;
+        game.halfmoveClock = Number(halfmove);
+        game.moveCount = (Number(fullmove) - 1) * 2 + (game.whiteToMove ? 0 : 1);
+        game._loadBoard();
+        game._resetPositionHistory();
+        game.startFEN = game.toFEN();
+        return game;
     }
 
     /**
-     * Check if a square is under attack by the opponent
-     * @param {number} row - Row to check
-     * @param {number} col - Column to check
-     * @param {boolean} byWhite - Check if white is attacking (true) or black (false)
-     * @returns {boolean}
+     * Get the position as a FEN string
+     * @returns {string}
      */
-    isSquareUnderAttack(row, col, byWhite) {
-        // Check all opponent pieces to see if they can attack this square
+    toFEN() {
+        this._syncBoard();
+        const squares = this._squares;
+        const ranks = [];
         for (let r = 0; r < 8; r++) {
+            let rank = '';
+            let empty = 0;
             for (let c = 0; c < 8; c++) {
-                const piece = this.board[r][c];
-                if (piece === '.') continue;
-                
-                const pieceIsWhite = piece >= 'A' && piece <= 'Z';
-                if (pieceIsWhite !== byWhite) continue;
-                
-                const dr = row - r;
-                const dc = col - c;
-                const p = piece.toLowerCase();
-                
-                // Check if this piece can attack the target square
-                switch (p) {
-                    case 'p':
-                        // Pawns attack diagonally
-                        if (Math.abs(dc) === 1) {
-                            if (byWhite && dr === -1) return true; // White pawn attacks upward
-                            if (!byWhite && dr === 1) return true; // Black pawn attacks downward
-                        }
-                        break;
-                        
-                    case 'n':
-                        // Knight moves
-                        for (const [dr2, dc2] of KNIGHT_MOVES) {
-                            if (dr === dr2 && dc === dc2) return true;
-                        }
-                        break;
-                        
-                    case 'k':
-                        // King moves
-                        if (Math.abs(dr) <= 1 && Math.abs(dc) <= 1) return true;
-                        break;
-                        
-                    case 'b':
-                        // Bishop moves diagonally
-                        if (Math.abs(dr) === Math.abs(dc) && dr !== 0) {
-                            if (this.isPathClear(r, c, row, col)) return true;
-                        }
-                        break;
-                        
-                    case 'r':
-                        // Rook moves straight
-                        if ((dr === 0 || dc === 0) && (dr !== 0 || dc !== 0)) {
-                            if (this.isPathClear(r, c, row, col)) return true;
-                        }
-                        break;
-                        
-                    case 'q':
-                        // Queen moves like rook or bishop
-                        if ((dr === 0 || dc === 0 || Math.abs(dr) === Math.abs(dc)) && (dr !== 0 || dc !== 0)) {
-                            if (this.isPathClear(r, c, row, col)) return true;
-                        }
-                        break;
+                const code = squares[r * 16 + c];
+                if (code === 0) {
+                    empty++;
+                } else {
+                    if (empty > 0) rank += empty;
+                    rank += PIECE_LETTERS[code + 6];
+                    empty = 0;
                 }
             }
+            if (empty > 0) rank += empty;
+            ranks.push(rank);
         }
-        return false;
+        const placement = ranks.join('/');
+
+        const rights = this.castlingRights;
+        const castling = (rights.whiteKingSide ? 'K' : '') +
+            (rights.whiteQueenSide ? 'Q' : '') +
+            (rights.blackKingSide ? 'k' : '') +
+            (rights.blackQueenSide ? 'q' : '');
+
+        const enPassant = this.enPassant ? squareName(this.enPassant.row, this.enPassant.col) : '-';
+        const fullmove = Math.floor(this.moveCount / 2) + 1;
+
+        return [
+            placement,
+            this.whiteToMove ? 'w' : 'b',
+            castling || '-',
+            enPassant,
+            this.halfmoveClock,
+            fullmove
+        ].join(' ');
     }
 
     /**
-     * Find the position of a king
-     * @param {boolean} white - Find white king (true) or black king (false)
-     * @returns {Object|null} {row, col} or null if not found
+     * Make a move on the board
+     * @param {number} fromRow - Source row (0-7)
+     * @param {number} fromCol - Source column (0-7)
+     * @param {number} toRow - Destination row (0-7)
+     * @param {number} toCol - Destination column (0-7)
+     * @param {string} [promotion='Q'] - Piece to promote to (Q, R, B or N)
+     * @returns {boolean} - True if move was valid and made
      */
-    findKing(white) {
-        const kingPiece = white ? 'K' : 'k';
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (this.board[r][c] === kingPiece) {
-                    return { row: r, col: c };
-                }
-            }
+    makeMove(fromRow, fromCol, toRow, toCol, promotion = 'Q') {
+        promotion = String(promotion).toUpperCase();
+        if (!PROMOTION_PIECES.includes(promotion)) {
+            return false;
         }
-        return null;
+
+        if (!this.isValidMove(fromRow, fromCol, toRow, toCol)) {
+            return false;
+        }
+
+        const move = { fromRow, fromCol, toRow, toCol };
+        if (this.isPromotion(fromRow, fromCol, toRow)) {
+            move.promotion = promotion;
+        }
+        this._playMove(move);
+        this.redoStack = [];
+
+        return true;
     }
 
     /**
-     * Check if a side's king is in check
-     * @param {boolean} white - Check white king (true) or black king (false)
-     * @returns {boolean}
+     * Play a legal move and record it on the move stack
      */
-    isInCheck(white) {
-        const kingPos = this.findKing(white);
-        if (!kingPos) return false;
-        return this.isSquareUnderAttack(kingPos.row, kingPos.col, !white);
+    _playMove(move) {
+        const san = this.moveToSAN(move);
+        this._makeMoveMinimax(move);
+
+        // Keep a copy of the unmake record; search reuses the stack slot
+        const record = { ...this._unmakeStack[--this._unmakeCount] };
+        this.moveStack.push({
+            move,
+            san,
+            piece: PIECE_LETTERS[record.piece + 6],
+            captured: PIECE_LETTERS[record.captured + 6],
+            record
+        });
+        this.moveCount++;
+        this._writeBoard(this.board);
+        this._recordPosition();
     }
 
     /**
-     * Check if a move would leave/put own king in check
+     * Take back the last move
+     * @returns {Object|null} The move taken back (with its SAN), or null if there is none
      */
-    wouldLeaveInCheck(fromR, fromC, toR, toC) {
-        const piece = this.board[fromR][fromC];
-        const pieceIsWhite = piece >= 'A' && piece <= 'Z';
-        const captured = this.board[toR][toC];
-        
-        // Make the move temporarily
-        let movedPiece = piece;
-        // Handle pawn promotion
-        if ((piece === 'P' && toR === 0) || (piece === 'p' && toR === 7)) {
-            movedPiece = piece === 'P' ? 'Q' : 'q';
-        }
-        
-        this.board[toR][toC] = movedPiece;
-        this.board[fromR][fromC] = '.';
-        
-        // Handle castling rook movement for check detection
-        let rookFromR = -1, rookFromC = -1, rookToR = -1, rookToC = -1;
-        if ((piece === 'K' || piece === 'k') && Math.abs(toC - fromC) === 2) {
-            if (piece === 'K' && fromR === 7 && fromC === 4) {
-                if (toC === 6) { // King-side
-                    rookFromR = 7; rookFromC = 7; rookToR = 7; rookToC = 5;
-                } else if (toC === 2) { // Queen-side
-                    rookFromR = 7; rookFromC = 0; rookToR = 7; rookToC = 3;
-                }
-            } else if (piece === 'k' && fromR === 0 && fromC === 4) {
-                if (toC === 6) { // King-side
-                    rookFromR = 0; rookFromC = 7; rookToR = 0; rookToC = 5;
-                } else if (toC === 2) { // Queen-side
-                    rookFromR = 0; rookFromC = 0; rookToR = 0; rookToC = 3;
-                }
-            }
-            if (rookFromR >= 0) {
-                this.board[rookToR][rookToC] = this.board[rookFromR][rookFromC];
-                this.board[rookFromR][rookFromC] = '.';
-            }
+    undo() {
+        const entry = this.moveStack.pop();
+        if (!entry) return null;
+
+        this._syncBoard();
+        this._unmakeMove(entry.record);
+        this._writeBoard(this.board);
+        this.moveCount--;
+        this.positionHistory.pop();
+        this._historyLo.pop();
+        this._historyHi.pop();
+        this.redoStack.push(entry.move);
+
+        return { ...entry.move, san: entry.san };
+    }
+
+    /**
+     * Replay the last move taken back with undo()
+     * @returns {Object|null} The move replayed (with its SAN), or null if there is none
+     */
+    redo() {
+        const move = this.redoStack.pop();
+        if (!move) return null;
+
+        this._playMove(move);
+        return { ...move, san: this.moveStack[this.moveStack.length - 1].san };
+    }
+
+    /**
+     * Get the moves played so far
+     * @returns {Array<Object>} Moves in order, each with its SAN, the piece moved and the piece captured
+     */
+    history() {
+        return this.moveStack.map(entry => ({
+            ...entry.move,
+            san: entry.san,
+            piece: entry.piece,
+            captured: entry.captured
+        }));
+    }
+
+    /**
+     * Get the position after a number of plies of this game
+     * @param {number} ply - Plies from the start (0 is the starting position)
+     * @returns {GBChessGame} A new game holding that position and the moves leading to it
+     * @throws {RangeError} If ply is outside the game
+     */
+    positionAt(ply) {
+        if (!Number.isInteger(ply) || ply < 0 || ply > this.moveStack.length) {
+            throw new RangeError(`Ply ${ply} is outside the game (0-${this.moveStack.length})`);
         }
-        
-        // Check if king is in check
-        const inCheck = this.isInCheck(pieceIsWhite);
-        
+
+        const game = GBChessGame.fromFEN(this.startFEN, { ...this.options, hashTable: this.hashTable });
+        for (const entry of this.moveStack.slice(0, ply)) {
+            game._playMove(entry.move);
+        }
+        return game;
+    }
+
+    /**
+     * Get a key identifying the position for repetition purposes: its Zobrist
+     * hash (placement, side to move, castling rights and a capturable en
+     * passant square) as 16 hex digits
+     * @returns {string}
+     */
+    positionKey() {
+        this._syncBoard();
+        this._computeHash();
+        return (this._hashHi >>> 0).toString(16).padStart(8, '0') +
+            (this._hashLo >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Start the position history with the current position
+     */
+    _resetPositionHistory() {
+        this.positionHistory = [];
+        this._historyLo = [];
+        this._historyHi = [];
+        this._recordPosition();
+    }
+
+    /**
+     * Add the current position to the position history
+     */
+    _recordPosition() {
+        this.positionHistory.push(this.positionKey());
+        this._historyLo.push(this._hashLo);
+        this._historyHi.push(this._hashHi);
+    }
+
+    /**
+     * Recompute the Zobrist key from scratch. The move code keeps it updated,
+     * but the board may also be edited directly, so searches start from here.
+     */
+    _computeHash() {
+        const squares = this._squares;
+        this._hashLo = 0;
+        this._hashHi = 0;
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const square = r * 16 + c;
+                if (squares[square] !== 0) this._togglePiece(squares[square], square);
+            }
+        }
+
+        if (!this.whiteToMove) {
+            this._hashLo ^= ZOBRIST_SIDE_LO;
+            this._hashHi ^= ZOBRIST_SIDE_HI;
+        }
+
+        const mask = this._castlingMask();
+        this._hashLo ^= ZOBRIST_CASTLING_LO[mask];
+        this._hashHi ^= ZOBRIST_CASTLING_HI[mask];
+
+        const epFile = this._enPassantFile();
+        if (epFile >= 0) {
+            this._hashLo ^= ZOBRIST_EP_LO[epFile];
+            this._hashHi ^= ZOBRIST_EP_HI[epFile];
+        }
+    }
+
+    /**
+     * Add or remove a piece on a square in the Zobrist key
+     */
+    _togglePiece(code, square) {
+        const index = (code + 6) * 128 + square;
+        this._hashLo ^= ZOBRIST_PIECE_LO[index];
+        this._hashHi ^= ZOBRIST_PIECE_HI[index];
+    }
+
+    /**
+     * Castling rights as a bitmask: 1 white king-side, 2 white queen-side,
+     * 4 black king-side, 8 black queen-side
+     */
+    _castlingMask() {
+        const rights = this.castlingRights;
+        return (rights.whiteKingSide ? 1 : 0) | (rights.whiteQueenSide ? 2 : 0) |
+            (rights.blackKingSide ? 4 : 0) | (rights.blackQueenSide ? 8 : 0);
+    }
+
+    /**
+     * File of the en passant square if a pawn of the side to move can
+     * actually capture there, else -1 (an unusable target does not change the position)
+     */
+    _enPassantFile() {
+        if (!this.enPassant) return -1;
+
+        const { row, col } = this.enPassant;
+        const pawnRow = this.whiteToMove ? row + 1 : row - 1;
+        const pawn = this.whiteToMove ? PAWN : -PAWN;
+        if (pawnRow < 0 || pawnRow > 7) return -1;
+        const square = pawnRow * 16 + col;
+        if ((col > 0 && this._squares[square - 1] === pawn) ||
+            (col < 7 && this._squares[square + 1] === pawn)) {
+            return col;
+        }
+        return -1;
+    }
+
+    /**
+     * Pick up direct edits of the board view: load it into the compact board
+     * if the two differ. While a search or a line is played out the compact
+     * board is ahead of the view, so the view is only read with no moves made.
+     */
+    _syncBoard() {
+        if (this._unmakeCount > 0) return;
+
+        const board = this.board;
+        const squares = this._squares;
+        for (let r = 0; r < 8; r++) {
+            const row = board[r];
+            for (let c = 0; c < 8; c++) {
+                if (row[c] !== PIECE_LETTERS[squares[r * 16 + c] + 6]) {
+                    this._loadBoard();
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Set the compact board from the board view, and the piece counts, king
+     * squares and Zobrist key from it
+     */
+    _loadBoard() {
+        const squares = this._squares;
+        const counts = this._pieceCounts;
+        const kings = this._kingSquares;
+        counts.fill(0);
+        kings[0] = kings[1] = -1;
+
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const square = r * 16 + c;
+                const code = PIECE_CODES[this.board[r][c]] || 0;
+                squares[square] = code;
+                counts[code + 6]++;
+                if (code === KING && kings[0] < 0) kings[0] = square;
+                if (code === -KING && kings[1] < 0) kings[1] = square;
+            }
+        }
+
+        this._computeHash();
+    }
+
+    /**
+     * Write the compact board into 8x8 rows of characters, in place
+     * @param {Array<Array<string>>} rows - The board view or a scratch board
+     * @returns {Array<Array<string>>} rows
+     */
+    _writeBoard(rows) {
+        const squares = this._squares;
+        for (let r = 0; r < 8; r++) {
+            const row = rows[r];
+            for (let c = 0; c < 8; c++) row[c] = PIECE_LETTERS[squares[r * 16 + c] + 6];
+        }
+        return rows;
+    }
+
+    /**
+     * The piece on a square of the compact board, as a board character
+     */
+    _pieceAt(row, col) {
+        return PIECE_LETTERS[this._squares[row * 16 + col] + 6];
+    }
+
+    /**
+     * Check if a square is under attack by the opponent
+     * @param {number} row - Row to check
+     * @param {number} col - Column to check
+     * @param {boolean} byWhite - Check if white is attacking (true) or black (false)
+     * @returns {boolean}
+     */
+    isSquareUnderAttack(row, col, byWhite) {
+        this._syncBoard();
+        return this._isAttacked(row * 16 + col, byWhite);
+    }
+
+    /**
+     * isSquareUnderAttack() for a 0x88 square of the compact board
+     */
+    _isAttacked(square, byWhite) {
+        // Look outward from the square for each kind of attacker
+        const squares = this._squares;
+        const sign = byWhite ? 1 : -1;
+
+        const pawn = sign * PAWN;
+        const pawnSquare = byWhite ? square + 16 : square - 16; // White pawns attack upward
+        if (!((pawnSquare - 1) & 0x88) && squares[pawnSquare - 1] === pawn) return true;
+        if (!((pawnSquare + 1) & 0x88) && squares[pawnSquare + 1] === pawn) return true;
+
+        const knight = sign * KNIGHT;
+        for (const offset of KNIGHT_OFFSETS) {
+            const from = square + offset;
+            if (!(from & 0x88) && squares[from] === knight) return true;
+        }
+
+        const king = sign * KING;
+        for (const offset of KING_OFFSETS) {
+            const from = square + offset;
+            if (!(from & 0x88) && squares[from] === king) return true;
+        }
+
+        // Sliders: the first piece along each line decides
+        const queen = sign * QUEEN;
+        const rook = sign * ROOK;
+        const bishop = sign * BISHOP;
+        for (let i = 0; i < QUEEN_OFFSETS.length; i++) {
+            const offset = QUEEN_OFFSETS[i];
+            const slider = i < ROOK_OFFSETS.length ? rook : bishop;
+            for (let from = square + offset; !(from & 0x88); from += offset) {
+                const piece = squares[from];
+                if (piece !== 0) {
+                    if (piece === slider || piece === queen) return true;
+                    break;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Find the position of a king
+     * @param {boolean} white - Find white king (true) or black king (false)
+     * @returns {Object|null} {row, col} or null if not found
+     */
+    findKing(white) {
+        this._syncBoard();
+        const square = this._kingSquares[white ? 0 : 1];
+        return square < 0 ? null : { row: square >> 4, col: square & 7 };
+    }
+
+    /**
+     * Check if a side's king is in check
+     * @param {boolean} white - Check white king (true) or black king (false)
+     * @returns {boolean}
+     */
+    isInCheck(white) {
+        this._syncBoard();
+        return this._inCheck(white);
+    }
+
+    /**
+     * isInCheck() on the compact board
+     */
+    _inCheck(white) {
+        const square = this._kingSquares[white ? 0 : 1];
+        return square >= 0 && this._isAttacked(square, !white);
+    }
+
+    /**
+     * Check if a pawn move from a square reaches the last rank
+     * @param {number} fromRow - Source row (0-7)
+     * @param {number} fromCol - Source column (0-7)
+     * @param {number} toRow - Destination row (0-7)
+     * @returns {boolean}
+     */
+    isPromotion(fromRow, fromCol, toRow) {
+        this._syncBoard();
+        const piece = this._squares[fromRow * 16 + fromCol];
+        return (piece === PAWN && toRow === 0) || (piece === -PAWN && toRow === 7);
+    }
+
+    /**
+     * Check if a move would leave/put own king in check
+     */
+    wouldLeaveInCheck(fromR, fromC, toR, toC, promotion = 'Q') {
+        this._syncBoard();
+        return this._leavesInCheck(fromR * 16 + fromC, toR * 16 + toC, promotion);
+    }
+
+    /**
+     * wouldLeaveInCheck() for 0x88 squares of the compact board
+     */
+    _leavesInCheck(from, to, promotion = 'Q') {
+        const squares = this._squares;
+        const piece = squares[from];
+        const captured = squares[to];
+        const pieceIsWhite = piece > 0;
+        const isKing = piece === KING || piece === -KING;
+
+        // En passant removes a pawn that is not on the destination square
+        const passed = (from & 0x70) | (to & 7);
+        const isEnPassant = (piece === PAWN || piece === -PAWN) && (from & 7) !== (to & 7) && captured === 0;
+        const epPawn = isEnPassant ? squares[passed] : 0;
+
+        // Make the move temporarily
+        let moved = piece;
+        // Handle pawn promotion
+        if ((piece === PAWN && to < 0x10) || (piece === -PAWN && to >= 0x70)) {
+            moved = pieceIsWhite ? PIECE_CODES[promotion] : -PIECE_CODES[promotion];
+        }
+
+        squares[to] = moved;
+        squares[from] = 0;
+        if (isEnPassant) squares[passed] = 0;
+        if (isKing) this._kingSquares[pieceIsWhite ? 0 : 1] = to;
+
+        // Handle castling rook movement for check detection
+        let rookFrom = -1;
+        let rookTo = -1;
+        if (isKing && Math.abs(to - from) === 2) {
+            rookFrom = (from & 0x70) | ((to & 7) === 6 ? 7 : 0);
+            rookTo = (from & 0x70) | ((to & 7) === 6 ? 5 : 3);
+            squares[rookTo] = squares[rookFrom];
+            squares[rookFrom] = 0;
+        }
+
+        const inCheck = this._inCheck(pieceIsWhite);
+
         // Undo the move
-        this.board[fromR][fromC] = piece;
-        this.board[toR][toC] = captured;
-        if (rookFromR >= 0) {
-            this.board[rookFromR][rookFromC] = this.board[rookToR][rookToC];
-            this.board[rookToR][rookToC] = '.';
+        squares[from] = piece;
+        squares[to] = captured;
+        if (isEnPassant) squares[passed] = epPawn;
+        if (isKing) this._kingSquares[pieceIsWhite ? 0 : 1] = from;
+        if (rookFrom >= 0) {
+            squares[rookFrom] = squares[rookTo];
+            squares[rookTo] = 0;
         }
-        
+
         return inCheck;
     }
 
+    /**
+     * Check if a square is the current en passant target
+     * @param {number} row - Row to check
+     * @param {number} col - Column to check
+     * @returns {boolean}
+     */
+    isEnPassantTarget(row, col) {
+        return this.enPassant !== null && this.enPassant.row === row && this.enPassant.col === col;
+    }
+
     /**
      * Check if path between two squares is clear (no pieces in between)
      */
     isPathClear(fromR, fromC, toR, toC) {
+        this._syncBoard();
+        const step = Math.sign(toR - fromR) * 16 + Math.sign(toC - fromC);
+        const to = toR * 16 + toC;
+
+        // Continue until we reach the destination square
+        for (let square = fromR * 16 + fromC + step; square !== to; square += step) {
+            if (this._squares[square] !== 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check if a move is valid
+     */
+    isValidMove(fromR, fromC, toR, toC) {
+        if (fromR < 0 || fromR >= 8 || fromC < 0 || fromC >= 8) return false;
+        if (toR < 0 || toR >= 8 || toC < 0 || toC >= 8) return false;
+
+        // With no moves made the board view shows the position, so most
+        // square pairs can be ruled out before it is read back (see _syncBoard)
+        if (this._unmakeCount === 0) {
+            const moving = this.board[fromR][fromC];
+            const captured = this.board[toR][toC];
+            if (moving === '.' || (moving < 'a') !== this.whiteToMove) return false;
+            if (captured !== '.' && (captured < 'a') === this.whiteToMove) return false;
+        }
+        this._syncBoard();
+
+        const squares = this._squares;
+        const from = fromR * 16 + fromC;
+        const to = toR * 16 + toC;
+        const piece = squares[from];
+        if (piece === 0) return false;
+
+        const pieceIsWhite = piece > 0;
+        if (pieceIsWhite !== this.whiteToMove) return false;
+
+        const target = squares[to];
+        if (target !== 0 && (target > 0) === pieceIsWhite) return false;
+
         const dr = toR - fromR;
         const dc = toC - fromC;
-        const stepR = dr === 0 ? 0 : (dr > 0 ? 1 : -1);
-        const stepC = dc === 0 ? 0 : (dc > 0 ? 1 : -1);
 
-        let r = fromR + stepR;
-        let c = fromC + stepC;
-        
-        // Continue until we reach the destination square
-        while (!(r === toR && c === toC)) {
-            if (this.board[r][c] !== '.') return false;
-            r += stepR;
-            c += stepC;
+        switch (piece) {
+            case PAWN:
+                if (dc === 0 && dr === -1 && target === 0) break;
+                if (dc === 0 && dr === -2 && fromR === 6 && squares[5 * 16 + fromC] === 0 && target === 0) break;
+                if (Math.abs(dc) === 1 && dr === -1 && target < 0) break;
+                if (Math.abs(dc) === 1 && dr === -1 && toR === 2 && this.isEnPassantTarget(toR, toC)) break;
+                return false;
+
+            case -PAWN:
+                if (dc === 0 && dr === 1 && target === 0) break;
+                if (dc === 0 && dr === 2 && fromR === 1 && squares[2 * 16 + fromC] === 0 && target === 0) break;
+                if (Math.abs(dc) === 1 && dr === 1 && target > 0) break;
+                if (Math.abs(dc) === 1 && dr === 1 && toR === 5 && this.isEnPassantTarget(toR, toC)) break;
+                return false;
+
+            case KNIGHT:
+            case -KNIGHT:
+                // On the 0x88 board each knight jump is its own square difference
+                if (!KNIGHT_OFFSETS.includes(to - from)) return false;
+                break;
+
+            case KING:
+            case -KING:
+                // Normal king move
+                if (Math.abs(dr) <= 1 && Math.abs(dc) <= 1) break;
+                
+                // Castling
+                if (dr === 0 && Math.abs(dc) === 2 && fromR === (pieceIsWhite ? 7 : 0) && fromC === 4 &&
+                    this._canCastle(pieceIsWhite, dc === 2)) break;
+                return false;
+
+            case BISHOP:
+            case -BISHOP:
+            case ROOK:
+            case -ROOK:
+            case QUEEN:
+            case -QUEEN: {
+                const type = Math.abs(piece);
+                const isDiagonal = Math.abs(dr) === Math.abs(dc);
+                const isStraight = dr === 0 || dc === 0;
+
+                if (type === BISHOP && !isDiagonal) return false;
+                if (type === ROOK && !isStraight) return false;
+                if (type === QUEEN && !isDiagonal && !isStraight) return false;
+
+                const step = Math.sign(dr) * 16 + Math.sign(dc);
+                for (let square = from + step; square !== to; square += step) {
+                    if (squares[square] !== 0) return false;
+                }
+                break;
+            }
+            default:
+                return false;
+        }
+
+        // After all piece-specific validation, check if move would leave king in check
+        return !this._leavesInCheck(from, to);
+    }
+
+    /**
+     * Check castling conditions: rights, empty squares between king and rook,
+     * and no attack on the king's start, crossing or destination square
+     * @param {boolean} white - Castling side
+     * @param {boolean} kingSide - King-side (true) or queen-side (false)
+     * @returns {boolean}
+     */
+    _canCastle(white, kingSide) {
+        const rank = white ? 0x70 : 0x00; // a1 or a8
+        const rook = white ? ROOK : -ROOK;
+        const squares = this._squares;
+
+        if (kingSide) {
+            if (!(white ? this.castlingRights.whiteKingSide : this.castlingRights.blackKingSide) ||
+                squares[rank + 5] !== 0 ||
+                squares[rank + 6] !== 0 ||
+                squares[rank + 7] !== rook) return false;
+
+            return !this._isAttacked(rank + 4, !white) &&
+                !this._isAttacked(rank + 5, !white) &&
+                !this._isAttacked(rank + 6, !white);
+        }
+
+        if (!(white ? this.castlingRights.whiteQueenSide : this.castlingRights.blackQueenSide) ||
+            squares[rank + 1] !== 0 ||
+            squares[rank + 2] !== 0 ||
+            squares[rank + 3] !== 0 ||
+            squares[rank] !== rook) return false;
+
+        return !this._isAttacked(rank + 4, !white) &&
+            !this._isAttacked(rank + 3, !white) &&
+            !this._isAttacked(rank + 2, !white);
+    }
+
+    /**
+     * Generate all legal moves for the current position
+     * @returns {Array} Array of move objects
+     */
+    generateMoves() {
+        this._syncBoard();
+        const moves = [];
+        this._generateLegalMoves(moves);
+        return moves;
+    }
+
+    /**
+     * Count the legal moves for the current position without building them
+     * @returns {number}
+     */
+    countMoves() {
+        this._syncBoard();
+        return this._generateLegalMoves(null);
+    }
+
+    /**
+     * Generate legal moves from each piece's own move pattern. A move is only
+     * tried on the board when it could expose the king: king moves, en passant,
+     * pinned pieces and replies to check. Everything else is legal as generated.
+     * @param {Array|null} moves - Array to append move objects to, or null to only count
+     * @param {boolean} [capturesOnly=false] - Only captures and queen promotions
+     * @returns {number} Number of legal moves
+     */
+    _generateLegalMoves(moves, capturesOnly = false) {
+        this._capturesOnly = capturesOnly;
+        const squares = this._squares;
+        const white = this.whiteToMove;
+        const kingSquare = this._kingSquares[white ? 0 : 1];
+        const inCheck = kingSquare >= 0 && this._isAttacked(kingSquare, !white);
+        const pinned = kingSquare >= 0 && !inCheck ? this._pinnedSquares(kingSquare, white) : [];
+        let count = 0;
+
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const from = r * 16 + c;
+                const piece = squares[from];
+                if (piece === 0 || (piece > 0) !== white) continue;
+
+                const verify = inCheck || (pinned.length > 0 && pinned.includes(from));
+
+                switch (white ? piece : -piece) {
+                    case PAWN:
+                        count += this._pawnMoves(moves, from, white, verify);
+                        break;
+
+                    case KNIGHT:
+                        for (const offset of KNIGHT_OFFSETS) {
+                            const to = from + offset;
+                            if (to & 0x88) continue;
+                            const target = squares[to];
+                            if (target === 0 || (target > 0) !== white) {
+                                count += this._addMove(moves, from, to, verify);
+                            }
+                        }
+                        break;
+
+                    case BISHOP:
+                        count += this._slidingMoves(moves, from, white, BISHOP_OFFSETS, verify);
+                        break;
+
+                    case ROOK:
+                        count += this._slidingMoves(moves, from, white, ROOK_OFFSETS, verify);
+                        break;
+
+                    case QUEEN:
+                        count += this._slidingMoves(moves, from, white, QUEEN_OFFSETS, verify);
+                        break;
+
+                    case KING:
+                        count += this._kingMoves(moves, from, white);
+                        break;
+                }
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Squares (0x88) of pieces pinned to their king by an enemy slider
+     */
+    _pinnedSquares(kingSquare, white) {
+        const squares = this._squares;
+        const sign = white ? -1 : 1;
+        const queen = sign * QUEEN;
+        const rook = sign * ROOK;
+        const bishop = sign * BISHOP;
+        const pinned = [];
+
+        for (let i = 0; i < QUEEN_OFFSETS.length; i++) {
+            const offset = QUEEN_OFFSETS[i];
+            const slider = i < ROOK_OFFSETS.length ? rook : bishop;
+            let shield = -1;
+            for (let square = kingSquare + offset; !(square & 0x88); square += offset) {
+                const piece = squares[square];
+                if (piece !== 0) {
+                    if ((piece > 0) === white) {
+                        // A second friendly piece on the line means no pin
+                        if (shield >= 0) break;
+                        shield = square;
+                    } else {
+                        if (shield >= 0 && (piece === slider || piece === queen)) pinned.push(shield);
+                        break;
+                    }
+                }
+            }
+        }
+
+        return pinned;
+    }
+
+    /**
+     * Append a move (all four promotion choices for a pawn reaching the last rank)
+     * @param {Array|null} moves - Move list, or null when only counting
+     * @param {number} from - 0x88 square moved from
+     * @param {number} to - 0x88 square moved to
+     * @param {boolean} verify - Play the move to make sure the king is not left in check
+     * @returns {number} Number of moves added
+     */
+    _addMove(moves, from, to, verify) {
+        const squares = this._squares;
+        const piece = squares[from];
+        const fromRow = from >> 4;
+        const fromCol = from & 7;
+        const toRow = to >> 4;
+        const toCol = to & 7;
+        const promotes = (piece === PAWN && toRow === 0) || (piece === -PAWN && toRow === 7);
+        if (this._capturesOnly && !promotes && squares[to] === 0) {
+            // Quiet unless it is en passant
+            if ((piece !== PAWN && piece !== -PAWN) || fromCol === toCol) return 0;
+        }
+
+        if (verify && this._leavesInCheck(from, to)) return 0;
+
+        if (promotes && this._capturesOnly) {
+            if (moves) moves.push({ fromRow, fromCol, toRow, toCol, promotion: 'Q', score: 0 });
+            return 1;
+        }
+
+        if (promotes) {
+            if (moves) {
+                for (const promotion of PROMOTION_PIECES) {
+                    moves.push({ fromRow, fromCol, toRow, toCol, promotion, score: 0 });
+                }
+            }
+            return PROMOTION_PIECES.length;
+        }
+
+        if (moves) {
+            moves.push({ fromRow, fromCol, toRow, toCol, score: 0 });
+        }
+        return 1;
+    }
+
+    /**
+     * Pawn pushes, double pushes, captures and en passant
+     */
+    _pawnMoves(moves, from, white, verify) {
+        const squares = this._squares;
+        const step = white ? -16 : 16;
+        const to = from + step;
+        if (to & 0x88) return 0;
+        let count = 0;
+
+        if (squares[to] === 0) {
+            count += this._addMove(moves, from, to, verify);
+            if ((from >> 4) === (white ? 6 : 1) && squares[to + step] === 0) {
+                count += this._addMove(moves, from, to + step, verify);
+            }
+        }
+
+        for (let capture = to - 1; capture <= to + 1; capture += 2) {
+            if (capture & 0x88) continue;
+            const target = squares[capture];
+            if (target !== 0) {
+                if ((target > 0) !== white) count += this._addMove(moves, from, capture, verify);
+            } else if ((capture >> 4) === (white ? 2 : 5) && this.isEnPassantTarget(capture >> 4, capture & 7)) {
+                // Removing two pawns from a rank can expose the king, so always verify
+                count += this._addMove(moves, from, capture, true);
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Bishop, rook and queen moves along each direction until blocked
+     */
+    _slidingMoves(moves, from, white, offsets, verify) {
+        const squares = this._squares;
+        let count = 0;
+
+        for (const offset of offsets) {
+            for (let to = from + offset; !(to & 0x88); to += offset) {
+                const target = squares[to];
+                if (target !== 0) {
+                    if ((target > 0) !== white) count += this._addMove(moves, from, to, verify);
+                    break;
+                }
+                count += this._addMove(moves, from, to, verify);
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * King steps to unattacked squares, and castling
+     */
+    _kingMoves(moves, from, white) {
+        const squares = this._squares;
+        const piece = squares[from];
+        let count = 0;
+
+        for (const offset of KING_OFFSETS) {
+            const to = from + offset;
+            if (to & 0x88) continue;
+            const target = squares[to];
+            if (target !== 0 && (target > 0) === white) continue;
+
+            // Lift the king so it does not block a slider's line through its own square
+            squares[from] = 0;
+            const attacked = this._isAttacked(to, !white);
+            squares[from] = piece;
+            if (!attacked) count += this._addMove(moves, from, to, false);
+        }
+
+        if (from === (white ? 0x74 : 0x04)) {
+            if (this._canCastle(white, true)) count += this._addMove(moves, from, from + 2, false);
+            if (this._canCastle(white, false)) count += this._addMove(moves, from, from - 2, false);
+        }
+
+        return count;
+    }
+
+    /**
+     * Format a legal move in Standard Algebraic Notation (e.g. "Nbd2", "exd6", "e8=N+", "O-O")
+     * @param {Object} move - {fromRow, fromCol, toRow, toCol, promotion?}
+     * @returns {string}
+     * @throws {Error} If the move is not legal in the current position
+     */
+    moveToSAN(move) {
+        const legalMoves = this.generateMoves();
+        const legal = legalMoves.find(m => sameMove(m, move));
+        if (!legal) {
+            throw new Error(`Illegal move: ${squareName(move.fromRow, move.fromCol)}${squareName(move.toRow, move.toCol)}`);
+        }
+
+        const piece = this._pieceAt(legal.fromRow, legal.fromCol);
+        const type = piece.toUpperCase();
+        const target = squareName(legal.toRow, legal.toCol);
+        const isCapture = this._pieceAt(legal.toRow, legal.toCol) !== '.' ||
+            (type === 'P' && legal.fromCol !== legal.toCol);
+        let san;
+
+        if (type === 'K' && Math.abs(legal.toCol - legal.fromCol) === 2) {
+            san = legal.toCol === 6 ? 'O-O' : 'O-O-O';
+        } else if (type === 'P') {
+            san = (isCapture ? FILES[legal.fromCol] + 'x' : '') + target;
+            if (legal.promotion) san += '=' + legal.promotion;
+        } else {
+            // Disambiguate between identical pieces that can reach the same square
+            const rivals = legalMoves.filter(m =>
+                m.toRow === legal.toRow && m.toCol === legal.toCol &&
+                this._pieceAt(m.fromRow, m.fromCol) === piece &&
+                (m.fromRow !== legal.fromRow || m.fromCol !== legal.fromCol));
+            let disambiguation = '';
+            if (rivals.length > 0) {
+                if (!rivals.some(m => m.fromCol === legal.fromCol)) {
+                    disambiguation = FILES[legal.fromCol];
+                } else if (!rivals.some(m => m.fromRow === legal.fromRow)) {
+                    disambiguation = String(8 - legal.fromRow);
+                } else {
+                    disambiguation = squareName(legal.fromRow, legal.fromCol);
+                }
+            }
+            san = type + disambiguation + (isCapture ? 'x' : '') + target;
+        }
+
+        // Check and mate suffixes
+        this._makeMoveMinimax(legal);
+        if (this._inCheck(this.whiteToMove)) {
+            san += this.generateMoves().length === 0 ? '#' : '+';
+        }
+        this._unmakeMove();
+
+        return san;
+    }
+
+    /**
+     * Parse a move in Standard Algebraic Notation for the current position.
+     * Accepts check/mate suffixes, annotations (!, ?), a missing capture mark,
+     * "0-0" castling and promotions written with or without "=".
+     * @param {string} san - Move text such as "Nf3", "exd5", "O-O" or "e8=Q+"
+     * @returns {Object} The matching legal move
+     * @throws {Error} If the text is malformed, illegal or ambiguous
+     */
+    parseSAN(san) {
+        const text = String(san).trim().replace(/[+#!?]+$/, '');
+        const legalMoves = this.generateMoves();
+        let candidates;
+
+        const castling = /^([O0])-\1(-\1)?$/.exec(text);
+        if (castling) {
+            const toCol = castling[2] ? 2 : 6;
+            candidates = legalMoves.filter(m =>
+                this._pieceAt(m.fromRow, m.fromCol).toUpperCase() === 'K' &&
+                m.fromCol === 4 && m.toCol === toCol);
+        } else {
+            const match = /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQnbrq]))?$/.exec(text);
+            if (!match) {
+                throw new Error(`Invalid SAN: '${san}'`);
+            }
+            const [, type = 'P', fromFile, fromRank, target, promotion] = match;
+            const to = parseSquare(target);
+            candidates = legalMoves.filter(m =>
+                this._pieceAt(m.fromRow, m.fromCol).toUpperCase() === type &&
+                m.toRow === to.row && m.toCol === to.col &&
+                (!fromFile || m.fromCol === FILES.indexOf(fromFile)) &&
+                (!fromRank || m.fromRow === 8 - Number(fromRank)) &&
+                (m.promotion || null) === (promotion ? promotion.toUpperCase() : null));
+        }
+
+        if (candidates.length === 0) {
+            throw new Error(`Illegal move: '${san}'`);
+        }
+        if (candidates.length > 1) {
+            throw new Error(`Ambiguous move: '${san}'`);
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Format a move in UCI long algebraic notation (e.g. "e2e4", "e7e8n")
+     * @param {Object} move - {fromRow, fromCol, toRow, toCol, promotion?}
+     * @returns {string}
+     */
+    moveToUCI(move) {
+        const promotion = move.promotion ? move.promotion.toLowerCase() : '';
+        return squareName(move.fromRow, move.fromCol) + squareName(move.toRow, move.toCol) + promotion;
+    }
+
+    /**
+     * Parse a move in UCI long algebraic notation for the current position
+     * @param {string} text - Move text such as "e2e4", "e1g1" or "e7e8q"
+     * @returns {Object} The matching legal move
+     * @throws {Error} If the text is malformed or the move is illegal
+     */
+    parseUCI(text) {
+        const match = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/.exec(String(text).trim());
+        if (!match) {
+            throw new Error(`Invalid UCI move: '${text}'`);
+        }
+
+        const from = parseSquare(match[1]);
+        const to = parseSquare(match[2]);
+        const move = this.generateMoves().find(m =>
+            m.fromRow === from.row && m.fromCol === from.col &&
+            m.toRow === to.row && m.toCol === to.col &&
+            (m.promotion || null) === (match[3] ? match[3].toUpperCase() : null));
+        if (!move) {
+            throw new Error(`Illegal move: '${text}'`);
+        }
+        return move;
+    }
+
+    /**
+     * GB's Call_002_5d2b - Full evaluation with 5 components, or the enhanced
+     * evaluation when options.evaluator selects it
+     * @returns {number} Score in centipawns from White's point of view
+     */
+    evaluate() {
+        this._syncBoard();
+        const terms = this._evalTerms;
+        this._evaluateTerms(terms);
+
+        let score = 0;
+        for (let i = 0; i < terms.length; i += 2) {
+            score += terms[i] - terms[i + 1];
+        }
+        return score;
+    }
+
+    /**
+     * The evaluation broken down by component and side, to show why the
+     * engine likes a position
+     * @param {string} [evaluator] - GBEvaluator to use (default: options.evaluator)
+     * @returns {Object} {total, white, black, terms}: terms maps material, position,
+     *   kingSafety, pawnStructure, mobility and strategic to {white, black}, each
+     *   side's points in centipawns; white and black are their sums and total
+     *   (white - black) equals evaluate()
+     * @throws {Error} If the evaluator is unknown
+     */
+    evaluateDetailed(evaluator = this.options.evaluator) {
+        this._syncBoard();
+        const values = new Int32Array(2 * EVAL_TERMS.length);
+        this._evaluateTerms(values, evaluator);
+
+        const detail = { total: 0, white: 0, black: 0, terms: {} };
+        EVAL_TERMS.forEach((name, i) => {
+            const white = values[2 * i];
+            const black = values[2 * i + 1];
+            detail.terms[name] = { white, black };
+            detail.white += white;
+            detail.black += black;
+        });
+        detail.total = detail.white - detail.black;
+        return detail;
+    }
+
+    /**
+     * Both evaluators' breakdowns of the position, to compare them term by term
+     * @returns {Object} {authentic, enhanced}, each as evaluateDetailed() returns it
+     */
+    compareEvaluators() {
+        const comparison = {};
+        for (const evaluator of Object.values(GBEvaluator)) {
+            comparison[evaluator] = this.evaluateDetailed(evaluator);
+        }
+        return comparison;
+    }
+
+    /**
+     * Score the evaluation components for each side
+     * @param {Int32Array} terms - Receives each side's points for every term, white
+     *   at the TERM_* offset and black just after it, both counted as positive
+     * @param {string} [evaluator] - GBEvaluator to use (default: options.evaluator)
+     * @throws {Error} If the evaluator is unknown
+     */
+    _evaluateTerms(terms, evaluator = this.options.evaluator) {
+        switch (evaluator) {
+            case GBEvaluator.AUTHENTIC:
+                this._evaluateAuthentic(terms);
+                break;
+            case GBEvaluator.ENHANCED:
+                this._evaluateEnhanced(terms);
+                break;
+            default:
+                throw new Error(`Unknown evaluator '${evaluator}'`);
+        }
+    }
+
+    /**
+     * The 1990 evaluation's five components
+     * @param {Int32Array} terms - See _evaluateTerms()
+     */
+    _evaluateAuthentic(terms) {
+        const squares = this._squares;
+        const weights = this._evaluationWeights();
+        terms.fill(0);
+
+        // Component 1: Material + Position (Call_002_6039)
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const code = squares[r * 16 + c];
+                if (code === 0) continue;
+
+                const piece = PIECE_LETTERS[code + 6];
+                const side = code > 0 ? 0 : 1;
+                terms[TERM_MATERIAL + side] += weights.material[piece];
+                terms[TERM_POSITION + side] += authenticPosition(weights, piece, r, c);
+            }
+        }
+
+        // Component 2: King Safety (Call_002_6e81)
+        // +8 per friendly piece near king (authentic weight)
+        for (let side = 0; side < 2; side++) {
+            const square = this._kingSquares[side];
+            if (square >= 0) {
+                terms[TERM_KING_SAFETY + side] += this._friendlyNeighbors(square) * weights.kingSafety;
+            }
+        }
+
+        // Component 3: Pawn Structure (Call_002_6faf)
+        // +5 per rank advanced, +67 for passed pawns (authentic weights)
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const square = r * 16 + c;
+                const code = squares[square];
+                if (code === PAWN) {
+                    terms[TERM_PAWN_STRUCTURE] += (7 - r) * weights.pawnAdvance;
+                    if (this._isPassedPawn(square)) terms[TERM_PAWN_STRUCTURE] += weights.passedPawn;
+                } else if (code === -PAWN) {
+                    terms[TERM_PAWN_STRUCTURE + 1] += r * weights.pawnAdvance;
+                    if (this._isPassedPawn(square)) terms[TERM_PAWN_STRUCTURE + 1] += weights.passedPawn;
+                }
+            }
+        }
+
+        // Components 4 and 5: Mobility (Call_002_6180) and Strategic Bonuses (Call_002_6339)
+        this._activityTerms(terms, weights);
+    }
+
+    /**
+     * The enhanced evaluation: the authentic components plus rook and king
+     * tables, with king placement, king shelter and passed pawns tapered from
+     * middlegame to endgame values as the pieces come off, doubled and
+     * isolated pawns, rooks on open files and the bishop pair
+     * @param {Int32Array} terms - See _evaluateTerms()
+     */
+    _evaluateEnhanced(terms) {
+        const squares = this._squares;
+        const weights = this._evaluationWeights();
+        terms.fill(0);
+
+        // Pawns per file and bishops for each side, and the game phase
+        const pawnFiles = [new Int8Array(8), new Int8Array(8)];
+        const bishops = [0, 0];
+        let phase = 0;
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const code = squares[r * 16 + c];
+                if (code === 0) continue;
+
+                const piece = PIECE_LETTERS[code + 6];
+                phase += PHASE_WEIGHTS[piece] || 0;
+                if (piece === 'P') pawnFiles[0][c]++;
+                else if (piece === 'p') pawnFiles[1][c]++;
+                else if (piece === 'B') bishops[0]++;
+                else if (piece === 'b') bishops[1]++;
+            }
+        }
+
+        // Promotions can take the phase past its starting value
+        phase = Math.min(phase, MAX_PHASE);
+        const taper = (middlegame, endgame) =>
+            Math.round((middlegame * phase + endgame * (MAX_PHASE - phase)) / MAX_PHASE);
+
+        const positionMiddlegame = [0, 0];
+        const positionEndgame = [0, 0];
+        const passedPawns = [0, 0];
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const square = r * 16 + c;
+                const code = squares[square];
+                if (code === 0) continue;
+
+                const piece = PIECE_LETTERS[code + 6];
+                const side = code > 0 ? 0 : 1;
+                const row = side === 0 ? 7 - r : r;
+                let middlegame = authenticPosition(weights, piece, r, c);
+                let endgame = middlegame;
+
+                switch (piece) {
+                    case 'P':
+                    case 'p':
+                        endgame = weights.pawnEndgameTable[row][c];
+                        terms[TERM_PAWN_STRUCTURE + side] += (side === 0 ? 7 - r : r) * weights.pawnAdvance;
+                        if (this._isPassedPawn(square)) passedPawns[side]++;
+                        break;
+                    case 'R':
+                    case 'r':
+                        middlegame = endgame = weights.rookTable[row][c];
+                        if (!pawnFiles[side][c]) {
+                            terms[TERM_STRATEGIC + side] += pawnFiles[1 - side][c] ? weights.rookHalfOpenFile : weights.rookOpenFile;
+                        }
+                        break;
+                    case 'K':
+                    case 'k':
+                        middlegame = weights.kingTable[row][c];
+                        endgame = weights.kingEndgameTable[row][c];
+                        // Shelter only matters while there are pieces to attack the king
+                        terms[TERM_KING_SAFETY + side] += taper(this._friendlyNeighbors(square) * weights.kingSafety, 0);
+                        break;
+                }
+
+                terms[TERM_MATERIAL + side] += weights.material[piece];
+                positionMiddlegame[side] += middlegame;
+                positionEndgame[side] += endgame;
+            }
+        }
+
+        for (let side = 0; side < 2; side++) {
+            terms[TERM_POSITION + side] = taper(positionMiddlegame[side], positionEndgame[side]);
+            terms[TERM_PAWN_STRUCTURE + side] += taper(passedPawns[side] * weights.passedPawn,
+                passedPawns[side] * weights.passedPawnEndgame);
+
+            const files = pawnFiles[side];
+            for (let c = 0; c < 8; c++) {
+                if (!files[c]) continue;
+                terms[TERM_PAWN_STRUCTURE + side] -= (files[c] - 1) * weights.doubledPawn;
+                if (!(c > 0 && files[c - 1]) && !(c < 7 && files[c + 1])) {
+                    terms[TERM_PAWN_STRUCTURE + side] -= files[c] * weights.isolatedPawn;
+                }
+            }
+
+            if (bishops[side] >= 2) terms[TERM_STRATEGIC + side] += weights.bishopPair;
+        }
+
+        this._activityTerms(terms, weights);
+    }
+
+    /**
+     * Add the mobility and centre-control terms, which both evaluators share
+     * @param {Int32Array} terms - See _evaluateTerms()
+     * @param {Object} weights - From _evaluationWeights()
+     */
+    _activityTerms(terms, weights) {
+        // Count moves for both sides, x2 (authentic weight)
+        const originalSide = this.whiteToMove;
+
+        this.whiteToMove = true;
+        terms[TERM_MOBILITY] += this._generateLegalMoves(null) * weights.mobility;
+
+        this.whiteToMove = false;
+        terms[TERM_MOBILITY + 1] += this._generateLegalMoves(null) * weights.mobility;
+
+        this.whiteToMove = originalSide;
+
+        // +10 per centre square the side attacks (authentic weight)
+        for (const [r, c] of CENTER_SQUARES) {
+            if (this._isAttacked(r * 16 + c, true)) terms[TERM_STRATEGIC] += weights.centerControl;
+            if (this._isAttacked(r * 16 + c, false)) terms[TERM_STRATEGIC + 1] += weights.centerControl;
+        }
+    }
+
+    /**
+     * Whether the pawn on a square has no enemy pawn ahead of it on its own
+     * or a neighbouring file
+     */
+    _isPassedPawn(square) {
+        const squares = this._squares;
+        const white = squares[square] === PAWN;
+        const enemy = white ? -PAWN : PAWN;
+        const step = white ? -16 : 16;
+        const c = square & 7;
+        for (let ahead = square + step; !(ahead & 0x88); ahead += step) {
+            if (squares[ahead] === enemy ||
+                (c > 0 && squares[ahead - 1] === enemy) ||
+                (c < 7 && squares[ahead + 1] === enemy)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Number of the piece's own side's pieces on the squares around it
+     */
+    _friendlyNeighbors(square) {
+        const squares = this._squares;
+        const isWhite = squares[square] > 0;
+        let count = 0;
+        for (const offset of KING_OFFSETS) {
+            const neighbor = square + offset;
+            if (!(neighbor & 0x88) && squares[neighbor] !== 0 && (squares[neighbor] > 0) === isWhite) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Score of a position where the search stops: the endgame module's when
+     * it knows the ending and options.endgame is on, else evaluate()
+     * @returns {number} Score in centipawns from White's point of view
+     */
+    _staticScore() {
+        if (this.options.endgame) {
+            // endgame.js only knows endings with a bare king or at most one
+            // man a side, so only those are copied out to the board it reads
+            const white = this._menCount(true);
+            const black = this._menCount(false);
+            if (white === 0 || black === 0 || white + black <= 2) {
+                const known = evaluateEndgame(this._writeBoard(this._endgameBoard), this.whiteToMove);
+                if (known !== null) return known;
+            }
+        }
+        return this.evaluate();
+    }
+
+    /**
+     * Number of a side's pieces and pawns, the king aside
+     */
+    _menCount(white) {
+        const counts = this._pieceCounts;
+        let men = 0;
+        for (let type = PAWN; type < KING; type++) men += counts[(white ? type : -type) + 6];
+        return men;
+    }
+
+    /**
+     * Evaluation weights for options.personality and options.weights, worked
+     * out again whenever either is changed
+     * @returns {Object} See evaluationWeights()
+     */
+    _evaluationWeights() {
+        const { personality, weights } = this.options;
+        const cache = this._weightCache;
+        if (!cache || cache.personality !== personality || cache.overrides !== weights) {
+            this._weightCache = { personality, overrides: weights, weights: evaluationWeights(personality, weights) };
+        }
+        return this._weightCache.weights;
+    }
+
+    /**
+     * Minimax with alpha-beta pruning (GB's Call_002_4050 search), backed by
+     * the transposition table when there is one
+     */
+    minimax(depth, alpha, beta, maximizing) {
+        this._countNode();
+
+        // Rule draws score as dead equal, and so does going back to an earlier
+        // position: whoever could avoid it and is better off will
+        if (this.halfmoveClock >= 100 || this.isInsufficientMaterial() ||
+            (this._unmakeCount > this._rootPly && this._isRepetition())) {
+            return 0;
+        }
+
+        // A stored result searched at least this deep may settle the node outright
+        const table = this.hashTable;
+        const hashLo = this._hashLo;
+        const hashHi = this._hashHi;
+        const ply = this._unmakeCount - this._rootPly;
+        let hashMove = 0;
+        if (table) {
+            const slot = table.probe(hashLo, hashHi);
+            if (slot >= 0) {
+                hashMove = table.moves[slot];
+                if (table.depths[slot] >= depth) {
+                    const score = scoreFromTable(table.scores[slot], ply);
+                    const flag = table.flags[slot];
+                    if (flag === TT_EXACT ||
+                        (flag === TT_LOWER && score >= beta) ||
+                        (flag === TT_UPPER && score <= alpha)) {
+                        return score;
+                    }
+                }
+            }
+        }
+
+        if (depth === 0) {
+            if (!this.options.quiescence) {
+                const score = this._staticScore();
+                if (table) table.store(hashLo, hashHi, 0, TT_EXACT, score, 0);
+                return score;
+            }
+
+            const score = this._quiesce(alpha, beta, maximizing);
+            if (table) {
+                const flag = score <= alpha ? TT_UPPER : score >= beta ? TT_LOWER : TT_EXACT;
+                table.store(hashLo, hashHi, 0, flag, scoreToTable(score, ply), 0);
+            }
+            return score;
+        }
+
+        const moves = this.generateMoves();
+
+        if (moves.length === 0) {
+            // Checkmate loses, stalemate is a draw
+            if (!this._inCheck(this.whiteToMove)) return 0;
+            return this._mateScore(maximizing);
+        }
+
+        this._orderMoves(moves, hashMove, ply);
+
+        const alphaOriginal = alpha;
+        const betaOriginal = beta;
+        let bestMove = null;
+        let bestScore;
+
+        if (maximizing) {
+            bestScore = -Infinity;
+            for (const move of moves) {
+                this._makeMoveMinimax(move);
+                const evaluation = this.minimax(depth - 1, alpha, beta, false);
+                this._unmakeMove();
+
+                if (evaluation > bestScore) {
+                    bestScore = evaluation;
+                    bestMove = move;
+                }
+                alpha = Math.max(alpha, evaluation);
+                if (beta <= alpha) {
+                    this._recordCutoff(move, depth, ply);
+                    break;
+                }
+            }
+        } else {
+            bestScore = Infinity;
+            for (const move of moves) {
+                this._makeMoveMinimax(move);
+                const evaluation = this.minimax(depth - 1, alpha, beta, true);
+                this._unmakeMove();
+
+                if (evaluation < bestScore) {
+                    bestScore = evaluation;
+                    bestMove = move;
+                }
+                beta = Math.min(beta, evaluation);
+                if (beta <= alpha) {
+                    this._recordCutoff(move, depth, ply);
+                    break;
+                }
+            }
+        }
+
+        if (table) {
+            const flag = bestScore <= alphaOriginal ? TT_UPPER : bestScore >= betaOriginal ? TT_LOWER : TT_EXACT;
+            table.store(hashLo, hashHi, depth, flag, scoreToTable(bestScore, ply), encodeMove(bestMove));
         }
-        return true;
+        return bestScore;
     }
 
     /**
-     * Check if a move is valid
+     * Quiescence search: past the main search depth keep playing captures
+     * (and queen promotions) until the position is quiet, so an exchange is
+     * never judged half-way through. The side to move may "stand pat" on the
+     * static evaluation instead of capturing. Captures that lose material by
+     * static exchange evaluation are skipped. If the main search ended in
+     * check every evasion is tried; deeper in, checks are not looked for.
+     * @param {number} alpha - Alpha value
+     * @param {number} beta - Beta value
+     * @param {boolean} maximizing - Is maximizing player (white)
+     * @param {number} [ply=0] - Captures played since the main search ended
+     * @returns {number} Evaluation score
      */
-    isValidMove(fromR, fromC, toR, toC) {
-        if (fromR < 0 || fromR >= 8 || fromC < 0 || fromC >= 8) return false;
-        if (toR < 0 || toR >= 8 || toC < 0 || toC >= 8) return false;
+    _quiesce(alpha, beta, maximizing, ply = 0) {
+        this._countNode();
+
+        const inCheck = ply === 0 && this._inCheck(this.whiteToMove);
+        let moves;
+        let standPat = 0;
+        let best;
+
+        if (inCheck) {
+            moves = this.generateMoves();
+            if (moves.length === 0) return this._mateScore(maximizing);
+            best = maximizing ? -Infinity : Infinity;
+        } else {
+            standPat = this._staticScore();
+            if (maximizing) {
+                if (standPat >= beta) return standPat;
+                alpha = Math.max(alpha, standPat);
+            } else {
+                if (standPat <= alpha) return standPat;
+                beta = Math.min(beta, standPat);
+            }
+            best = standPat;
 
-        const piece = this.board[fromR][fromC];
-        if (piece === '.') return false;
+            moves = this._generateCaptures();
+            for (const move of moves) move.score = this._mvvLva(move);
+            moves.sort((a, b) => b.score - a.score);
+        }
 
-        const pieceIsWhite = piece >= 'A' && piece <= 'Z';
-        if (pieceIsWhite !== this.whiteToMove) return false;
+        for (const move of moves) {
+            if (!inCheck) {
+                // Delta pruning: a capture that cannot reach the window even
+                // with a margin to spare is not worth searching
+                const gain = this._captureGain(move);
+                if (maximizing ? standPat + gain + DELTA_MARGIN <= alpha : standPat - gain - DELTA_MARGIN >= beta) continue;
+
+                // Skip captures that lose material once the exchange on the
+                // square is played out; taking with a piece worth no more than
+                // the victim cannot
+                const attacker = Math.abs(CODE_VALUES[this._squares[move.fromRow * 16 + move.fromCol] + 6]);
+                if (attacker > gain && this._staticExchange(move) < 0) continue;
+            }
 
-        const target = this.board[toR][toC];
-        if (target !== '.') {
-            const targetIsWhite = target >= 'A' && target <= 'Z';
-            if (targetIsWhite === pieceIsWhite) return false;
+            this._makeMoveMinimax(move);
+            const score = this._quiesce(alpha, beta, !maximizing, ply + 1);
+            this._unmakeMove();
+
+            if (maximizing) {
+                best = Math.max(best, score);
+                alpha = Math.max(alpha, score);
+            } else {
+                best = Math.min(best, score);
+                beta = Math.min(beta, score);
+            }
+            if (beta <= alpha) break;
         }
 
-        const dr = toR - fromR;
-        const dc = toC - fromC;
+        return best;
+    }
 
-        switch (piece) {
-            case 'P':
-                if (dc === 0 && dr === -1 && target === '.') break;
-                if (dc === 0 && dr === -2 && fromR === 6 && this.board[5][fromC] === '.' && target === '.') break;
-                if (Math.abs(dc) === 1 && dr === -1 && target !== '.' && target >= 'a' && target <= 'z') break;
-                return false;
+    /**
+     * Score of the side to move being checkmated here: the further from the
+     * root, the smaller, so the winner prefers the quickest mate and the
+     * loser the longest defence
+     */
+    _mateScore(maximizing) {
+        const ply = this._unmakeCount - this._rootPly;
+        return maximizing ? -(MATE_SCORE - ply) : MATE_SCORE - ply;
+    }
 
-            case 'p':
-                if (dc === 0 && dr === 1 && target === '.') break;
-                if (dc === 0 && dr === 2 && fromR === 1 && this.board[2][fromC] === '.' && target === '.') break;
-                if (Math.abs(dc) === 1 && dr === 1 && target !== '.' && target >= 'A' && target <= 'Z') break;
-                return false;
+    /**
+     * Legal captures and queen promotions, the moves quiescence search tries
+     */
+    _generateCaptures() {
+        const moves = [];
+        this._generateLegalMoves(moves, true);
+        return moves;
+    }
 
-            case 'N':
-            case 'n':
-                let validKnightMove = false;
-                for (const [dr2, dc2] of KNIGHT_MOVES) {
-                    if (dr === dr2 && dc === dc2) {
-                        validKnightMove = true;
-                        break;
-                    }
-                }
-                if (!validKnightMove) return false;
-                break;
+    /**
+     * Material a capture or promotion wins, in centipawns
+     */
+    _captureGain(move) {
+        const squares = this._squares;
+        const target = squares[move.toRow * 16 + move.toCol];
+        let gain = Math.abs(CODE_VALUES[target + 6]);
 
-            case 'K':
-            case 'k':
-                // Normal king move
-                if (Math.abs(dr) <= 1 && Math.abs(dc) <= 1) break;
-                
-                // Castling
-                if (dr === 0 && Math.abs(dc) === 2) {
-                    if (piece === 'K' && fromR === 7 && fromC === 4) {
-                        // White castling
-                        if (dc === 2) {
-                            // King-side castling
-                            if (!this.castlingRights.whiteKingSide ||
-                                this.board[7][5] !== '.' ||
-                                this.board[7][6] !== '.' ||
-                                this.board[7][7] !== 'R') return false;
-                            
-                            // Check king is not in check, doesn't move through check, or into check
-                            if (this.isSquareUnderAttack(7, 4, false) || // Current position
-                                this.isSquareUnderAttack(7, 5, false) || // Through square
-                                this.isSquareUnderAttack(7, 6, false)) { // Destination
-                                return false;
-                            }
-                            break;
-                        } else if (dc === -2) {
-                            // Queen-side castling
-                            if (!this.castlingRights.whiteQueenSide ||
-                                this.board[7][1] !== '.' ||
-                                this.board[7][2] !== '.' ||
-                                this.board[7][3] !== '.' ||
-                                this.board[7][0] !== 'R') return false;
-                            
-                            // Check king is not in check, doesn't move through check, or into check
-                            if (this.isSquareUnderAttack(7, 4, false) || // Current position
-                                this.isSquareUnderAttack(7, 3, false) || // Through square
-                                this.isSquareUnderAttack(7, 2, false)) { // Destination
-                                return false;
-                            }
-                            break;
-                        }
-                    } else if (piece === 'k' && fromR === 0 && fromC === 4) {
-                        // Black castling
-                        if (dc === 2) {
-                            // King-side castling
-                            if (!this.castlingRights.blackKingSide ||
-                                this.board[0][5] !== '.' ||
-                                this.board[0][6] !== '.' ||
-                                this.board[0][7] !== 'r') return false;
-                            
-                            // Check king is not in check, doesn't move through check, or into check
-                            if (this.isSquareUnderAttack(0, 4, true) || // Current position
-                                this.isSquareUnderAttack(0, 5, true) || // Through square
-                                this.isSquareUnderAttack(0, 6, true)) { // Destination
-                                return false;
-                            }
-                            break;
-                        } else if (dc === -2) {
-                            // Queen-side castling
-                            if (!this.castlingRights.blackQueenSide ||
-                                this.board[0][1] !== '.' ||
-                                this.board[0][2] !== '.' ||
-                                this.board[0][3] !== '.' ||
-                                this.board[0][0] !== 'r') return false;
-                            
-                            // Check king is not in check, doesn't move through check, or into check
-                            if (this.isSquareUnderAttack(0, 4, true) || // Current position
-                                this.isSquareUnderAttack(0, 3, true) || // Through square
-                                this.isSquareUnderAttack(0, 2, true)) { // Destination
-                                return false;
-                            }
-                            break;
-                        }
-                    }
-                }
-                return false;
+        // A pawn moving diagonally to an empty square captures en passant
+        const piece = squares[move.fromRow * 16 + move.fromCol];
+        if (target === 0 && (piece === PAWN || piece === -PAWN) && move.fromCol !== move.toCol) gain = PIECE_VALUES.P;
 
-            case 'B':
-            case 'b':
-            case 'R':
-            case 'r':
-            case 'Q':
-            case 'q': {
-                if (dr === 0 && dc === 0) return false;
+        if (move.promotion) gain += PIECE_VALUES[move.promotion] - PIECE_VALUES.P;
+        return gain;
+    }
 
-                const isDiagonal = Math.abs(dr) === Math.abs(dc);
-                const isStraight = dr === 0 || dc === 0;
+    /**
+     * Static exchange evaluation: the material the side to move ends up with
+     * after a capture, when both sides keep recapturing on the square with
+     * their least valuable piece and either may stop once that would lose.
+     * Pieces behind a capturer join in as it leaves (x-rays); pins are ignored.
+     * @param {Object} move - A capture or promotion
+     * @returns {number} Centipawns won, negative if the exchange loses material
+     */
+    _staticExchange(move) {
+        const squares = this._squares;
+        const from = move.fromRow * 16 + move.fromCol;
+        const to = move.toRow * 16 + move.toCol;
+        const piece = squares[from];
+
+        // Gains from each capture in turn, for the side making it
+        const gains = [this._captureGain(move)];
+        let onSquare = move.promotion ? PIECE_VALUES[move.promotion] : Math.abs(CODE_VALUES[piece + 6]);
+
+        // Capturers leave the board as they go, so the pieces behind them are
+        // found on the next look; everything is put back at the end
+        const lifted = [[from, piece]];
+        squares[from] = 0;
+        if ((piece === PAWN || piece === -PAWN) && (from & 7) !== (to & 7) && squares[to] === 0) {
+            const passed = (from & 0x70) | (to & 7);
+            lifted.push([passed, squares[passed]]);
+            squares[passed] = 0;
+        }
 
-                if ((piece === 'B' || piece === 'b') && !isDiagonal) return false;
-                if ((piece === 'R' || piece === 'r') && !isStraight) return false;
-                if ((piece === 'Q' || piece === 'q') && !isDiagonal && !isStraight) return false;
+        let white = piece < 0;
+        for (;;) {
+            const attacker = this._leastValuableAttacker(to, white);
+            if (attacker < 0) break;
 
-                const stepR = dr === 0 ? 0 : (dr > 0 ? 1 : -1);
-                const stepC = dc === 0 ? 0 : (dc > 0 ? 1 : -1);
+            gains.push(onSquare - gains[gains.length - 1]);
 
-                let r = fromR + stepR;
-                let c = fromC + stepC;
-                while (!(r === toR && c === toC)) {
-                    if (this.board[r][c] !== '.') return false;
-                    r += stepR;
-                    c += stepC;
-                }
-                break;
-            }
-            default:
-                return false;
+            lifted.push([attacker, squares[attacker]]);
+            onSquare = Math.abs(CODE_VALUES[squares[attacker] + 6]);
+            squares[attacker] = 0;
+            white = !white;
         }
 
-        // After all piece-specific validation, check if move would leave king in check
-        return !this.wouldLeaveInCheck(fromR, fromC, toR, toC);
+        for (const [square, removed] of lifted) squares[square] = removed;
+
+        // Each side recaptures only if that beats standing pat
+        for (let i = gains.length - 1; i > 0; i--) {
+            gains[i - 1] = -Math.max(-gains[i - 1], gains[i]);
+        }
+        return gains[0];
     }
 
     /**
-     * Generate all legal moves for the current position
-     * @returns {Array} Array of move objects
+     * The square of the cheapest piece of one side attacking a square
+     * @param {number} square - 0x88 square attacked
+     * @param {boolean} byWhite - Side attacking
+     * @returns {number} The attacker's 0x88 square, or -1 if there is none
      */
-    generateMoves() {
-        const moves = [];
+    _leastValuableAttacker(square, byWhite) {
+        const squares = this._squares;
+        const sign = byWhite ? 1 : -1;
+
+        const pawn = sign * PAWN;
+        const pawnSquare = byWhite ? square + 16 : square - 16;
+        if (!((pawnSquare - 1) & 0x88) && squares[pawnSquare - 1] === pawn) return pawnSquare - 1;
+        if (!((pawnSquare + 1) & 0x88) && squares[pawnSquare + 1] === pawn) return pawnSquare + 1;
+
+        const knight = sign * KNIGHT;
+        for (const offset of KNIGHT_OFFSETS) {
+            const from = square + offset;
+            if (!(from & 0x88) && squares[from] === knight) return from;
+        }
 
-        for (let fromR = 0; fromR < 8; fromR++) {
-            for (let fromC = 0; fromC < 8; fromC++) {
-                const piece = this.board[fromR][fromC];
-                if (piece === '.') continue;
-
-                const pieceIsWhite = piece >= 'A' && piece <= 'Z';
-                if (pieceIsWhite !== this.whiteToMove) continue;
-
-                for (let toR = 0; toR < 8; toR++) {
-                    for (let toC = 0; toC < 8; toC++) {
-                        if (this.isValidMove(fromR, fromC, toR, toC)) {
-                            moves.push({
-                                fromRow: fromR,
-                                fromCol: fromC,
-                                toRow: toR,
-                                toCol: toC,
-                                score: 0
-                            });
-                        }
+        // The first piece along each line, cheapest kind first
+        const bishop = sign * BISHOP;
+        const rook = sign * ROOK;
+        const queen = sign * QUEEN;
+        let bishopSquare = -1;
+        let rookSquare = -1;
+        let queenSquare = -1;
+        for (let i = 0; i < QUEEN_OFFSETS.length; i++) {
+            const offset = QUEEN_OFFSETS[i];
+            const straight = i < ROOK_OFFSETS.length;
+            for (let from = square + offset; !(from & 0x88); from += offset) {
+                const found = squares[from];
+                if (found !== 0) {
+                    if (found === queen) {
+                        if (queenSquare < 0) queenSquare = from;
+                    } else if (!straight && found === bishop) {
+                        if (bishopSquare < 0) bishopSquare = from;
+                    } else if (straight && found === rook) {
+                        if (rookSquare < 0) rookSquare = from;
                     }
+                    break;
                 }
             }
         }
-
-        return moves;
+        if (bishopSquare >= 0) return bishopSquare;
+        if (rookSquare >= 0) return rookSquare;
+        if (queenSquare >= 0) return queenSquare;
+
+        const king = sign * KING;
+        for (const offset of KING_OFFSETS) {
+            const from = square + offset;
+            if (!(from & 0x88) && squares[from] === king) return from;
+        }
+        return -1;
     }
 
     /**
-     * GB's Call_002_5d2b - Full evaluation with 5 components
+     * Capture ordering score: most valuable victim first, and the cheapest
+     * attacker first among equal victims
      */
-    evaluate() {
-        let score = 0;
-
-        // Component 1: Material + Position (Call_002_6039)
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const piece = this.board[r][c];
-                if (piece === '.') continue;
+    _mvvLva(move) {
+        return 10 * this._captureGain(move) - Math.abs(CODE_VALUES[this._squares[move.fromRow * 16 + move.fromCol] + 6]);
+    }
 
-                const material = PIECE_VALUES[piece] || 0;
-                let position = 0;
+    /**
+     * Sort moves so the likeliest best are searched first, which lets
+     * alpha-beta cut off more: the hash move, captures and promotions by
+     * MVV-LVA, the killer moves of this ply, then quiet moves by history
+     * @param {Array} moves - Moves to sort in place
+     * @param {number} hashMove - Encoded best move from the transposition table, or 0
+     * @param {number} ply - Distance from the root
+     */
+    _orderMoves(moves, hashMove, ply) {
+        if (!this.options.moveOrdering) return;
 
-                switch (piece) {
-                    case 'P': {
-                        const tableRow = 7 - r;
-                        position = PAWN_POSITION_TABLE[tableRow][c];
-                        break;
-                    }
-                    case 'p':
-                        position = -PAWN_POSITION_TABLE[r][c];
-                        break;
-                    case 'N': {
-                        const tableRow = 7 - r;
-                        position = KNIGHT_POSITION_TABLE[tableRow][c];
-                        break;
-                    }
-                    case 'n':
-                        position = -KNIGHT_POSITION_TABLE[r][c];
-                        break;
-                    case 'B':
-                    case 'Q':
-                        position = CENTER_CONTROL_TABLE[r][c];
-                        break;
-                    case 'b':
-                    case 'q':
-                        position = -CENTER_CONTROL_TABLE[r][c];
-                        break;
-                }
+        const killer1 = this._killers[2 * ply];
+        const killer2 = this._killers[2 * ply + 1];
+        const side = this.whiteToMove ? 0 : 4096;
 
-                score += material + position;
+        for (const move of moves) {
+            const code = encodeMove(move);
+            if (code === hashMove) {
+                move.score = ORDER_HASH_MOVE;
+            } else if (this._captureGain(move) > 0) {
+                move.score = ORDER_CAPTURE + this._mvvLva(move);
+            } else if (code === killer1) {
+                move.score = ORDER_KILLER + 1;
+            } else if (code === killer2) {
+                move.score = ORDER_KILLER;
+            } else {
+                move.score = this._history[side + (move.fromRow * 8 + move.fromCol) * 64 + move.toRow * 8 + move.toCol];
             }
         }
+        moves.sort((a, b) => b.score - a.score);
+    }
 
-        // Component 2: King Safety (Call_002_6e81)
-        // +8 per friendly piece near king
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const piece = this.board[r][c];
-                if (piece === 'K' || piece === 'k') {
-                    const isWhite = piece === 'K';
-                    let safety = 0;
-
-                    for (const [dr, dc] of KING_MOVES) {
-                        const nr = r + dr;
-                        const nc = c + dc;
-                        if (nr >= 0 && nr < 8 && nc >= 0 && nc < 8) {
-                            const neighbor = this.board[nr][nc];
-                            if (neighbor !== '.') {
-                                const neighborIsWhite = neighbor >= 'A' && neighbor <= 'Z';
-                                if (neighborIsWhite === isWhite) {
-                                    safety += 8;
-                                }
-                            }
-                        }
-                    }
+    /**
+     * Remember a quiet move that caused a beta cutoff as a killer for this
+     * ply and credit it in the history table (deeper cutoffs count more)
+     */
+    _recordCutoff(move, depth, ply) {
+        if (!this.options.moveOrdering || this._captureGain(move) > 0) return;
 
-                    score += isWhite ? safety : -safety;
-                }
-            }
+        const code = encodeMove(move);
+        if (this._killers[2 * ply] !== code) {
+            this._killers[2 * ply + 1] = this._killers[2 * ply];
+            this._killers[2 * ply] = code;
         }
 
-        // Component 3: Pawn Structure (Call_002_6faf)
-        // +5 per rank advanced, +67 for passed pawns
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const piece = this.board[r][c];
-                if (piece === 'P') {
-                    const advancement = 7 - r;
-                    score += advancement * 5;
-
-                    // Check if passed
-                    let passed = true;
-                    for (let nr = r - 1; nr >= 0; nr--) {
-                        if (this.board[nr][c] === 'p' ||
-                            (c > 0 && this.board[nr][c - 1] === 'p') ||
-                            (c < 7 && this.board[nr][c + 1] === 'p')) {
-                            passed = false;
-                            break;
-                        }
-                    }
-                    if (passed) score += 67;
-
-                } else if (piece === 'p') {
-                    const advancement = r;
-                    score -= advancement * 5;
-
-                    let passed = true;
-                    for (let nr = r + 1; nr < 8; nr++) {
-                        if (this.board[nr][c] === 'P' ||
-                            (c > 0 && this.board[nr][c - 1] === 'P') ||
-                            (c < 7 && this.board[nr][c + 1] === 'P')) {
-                            passed = false;
-                            break;
-                        }
-                    }
-                    if (passed) score -= 67;
-                }
-            }
+        const history = this._history;
+        const index = (this.whiteToMove ? 0 : 4096) + (move.fromRow * 8 + move.fromCol) * 64 + move.toRow * 8 + move.toCol;
+        history[index] += depth * depth;
+        if (history[index] > HISTORY_LIMIT) {
+            for (let i = 0; i < history.length; i++) history[i] >>= 1;
         }
+    }
 
-        // Component 4: Mobility (Call_002_6180)
-        // Count moves for both sides
-        const originalSide = this.whiteToMove;
+    /**
+     * Count a visited node and stop the search if a limit has been reached
+     */
+    _countNode() {
+        this.nodes++;
 
-        this.whiteToMove = true;
-        const whiteMobility = this.generateMoves().length;
+        const limits = this._limits;
+        if (limits !== null && limits.armed &&
+            (this.nodes >= limits.nodes || ((this.nodes & 1023) === 0 && this._outOfTime(limits)))) {
+            throw SEARCH_STOPPED;
+        }
+    }
 
-        this.whiteToMove = false;
-        const blackMobility = this.generateMoves().length;
+    /**
+     * Prepare for a search: sync the Zobrist key with the board, reset the
+     * move ordering state and make sure the transposition table exists
+     * (unless hashSize is 0)
+     */
+    _startSearch() {
+        this.nodes = 0;
+        this._rootPly = this._unmakeCount;
+        this._killers.fill(0);
+        this._history.fill(0);
+        this._computeHash();
+        if (!this.hashTable && this.options.hashSize > 0) {
+            this.hashTable = new TranspositionTable(this.options.hashSize);
+        }
+        if (this.hashTable) this.hashTable.newSearch();
+    }
 
-        this.whiteToMove = originalSide;
+    /**
+     * Whether the position in search occurred before, earlier in the search
+     * line or in the game, with no capture or pawn move since
+     * @returns {boolean}
+     */
+    _isRepetition() {
+        const reversible = this.halfmoveClock;
+        const line = this._unmakeCount - this._rootPly;
+        const lo = this._hashLo;
+        const hi = this._hashHi;
+        // The game's history ends with the position at the root
+        const historyLo = this._historyLo;
+        const historyHi = this._historyHi;
+        const root = historyLo.length - 1;
+
+        // The same side is to move only an even number of plies back, and
+        // leaving and coming back takes at least four
+        for (let back = 4; back <= reversible; back += 2) {
+            if (back <= line) {
+                // The unmake record of the move played back plies ago holds the key before it
+                const record = this._unmakeStack[this._unmakeCount - back];
+                if (record.hashLo === lo && record.hashHi === hi) return true;
+            } else {
+                const index = root - (back - line);
+                if (index < 0) break;
+                if (historyLo[index] === lo && historyHi[index] === hi) return true;
+            }
+        }
+        return false;
+    }
 
-        score += (whiteMobility - blackMobility) * 2;
+    /**
+     * Forget everything the transposition table has learned (e.g. before an unrelated game)
+     */
+    clearHash() {
+        if (this.hashTable) this.hashTable.clear();
+    }
 
-        return score;
+    /**
+     * Make a move in minimax without validation (move is already validated).
+     * What the move changes is recorded for _unmakeMove().
+     */
+    _makeMoveMinimax(move) {
+        this._makeMoveAt(move.fromRow * 16 + move.fromCol, move.toRow * 16 + move.toCol, move.promotion);
     }
 
     /**
-     * Minimax with alpha-beta pruning (GB's Call_002_4050 search)
+     * Play a move given by its 0x88 squares and push an unmake record. Records
+     * are kept in a stack indexed by ply and reused, so search allocates nothing.
      */
-    minimax(depth, alpha, beta, maximizing) {
-        if (depth === 0) {
-            return this.evaluate();
+    _makeMoveAt(from, to, promotion) {
+        const squares = this._squares;
+        const counts = this._pieceCounts;
+        const rights = this.castlingRights;
+        const piece = squares[from];
+        const isPawn = piece === PAWN || piece === -PAWN;
+        const isCapture = squares[to] !== 0;
+
+        let record = this._unmakeStack[this._unmakeCount];
+        if (!record) {
+            record = this._unmakeStack[this._unmakeCount] = {};
+        }
+        this._unmakeCount++;
+
+        record.from = from;
+        record.to = to;
+        record.piece = piece;
+        record.captured = squares[to];
+        record.capturedSquare = to;
+        record.rookFrom = -1;
+        record.rookTo = -1;
+        record.whiteKingSide = rights.whiteKingSide;
+        record.whiteQueenSide = rights.whiteQueenSide;
+        record.blackKingSide = rights.blackKingSide;
+        record.blackQueenSide = rights.blackQueenSide;
+        record.enPassant = this.enPassant;
+        record.halfmoveClock = this.halfmoveClock;
+        record.hashLo = this._hashLo;
+        record.hashHi = this._hashHi;
+
+        const rightsBefore = this._castlingMask();
+        const epFileBefore = this._enPassantFile();
+
+        // En passant - the captured pawn sits beside the moving pawn
+        if (isPawn && (from & 7) !== (to & 7) && !isCapture) {
+            record.capturedSquare = (from & 0x70) | (to & 7);
+            record.captured = squares[record.capturedSquare];
+            squares[record.capturedSquare] = 0;
         }
 
-        const moves = this.generateMoves();
+        if (record.captured !== 0) {
+            this._togglePiece(record.captured, record.capturedSquare);
+            counts[record.captured + 6]--;
+        }
+        this._togglePiece(piece, from);
+        squares[to] = piece;
+        squares[from] = 0;
+
+        if (piece === KING || piece === -KING) {
+            this._kingSquares[piece > 0 ? 0 : 1] = to;
+
+            // Castling - move the rook
+            if (Math.abs(to - from) === 2) {
+                const kingSide = (to & 7) === 6;
+                record.rookFrom = (from & 0x70) | (kingSide ? 7 : 0);
+                record.rookTo = (from & 0x70) | (kingSide ? 5 : 3);
+                const rook = squares[record.rookFrom];
+                squares[record.rookTo] = rook;
+                squares[record.rookFrom] = 0;
+                this._togglePiece(rook, record.rookFrom);
+                this._togglePiece(rook, record.rookTo);
+            }
+        }
 
-        if (moves.length === 0) {
-            return maximizing ? -30000 : 30000;
+        // Pawn promotion (queen unless the move names another piece)
+        if ((piece === PAWN && to < 0x10) || (piece === -PAWN && to >= 0x70)) {
+            const promoted = Math.abs(PIECE_CODES[promotion || 'Q']);
+            squares[to] = piece > 0 ? promoted : -promoted;
+            counts[piece + 6]--;
+            counts[squares[to] + 6]++;
         }
+        this._togglePiece(squares[to], to);
 
-        if (maximizing) {
-            let maxEval = -Infinity;
-            for (const move of moves) {
-                // Save state
-                const savedState = this._saveState();
-                
-                // Make move using the full makeMove logic
-                this._makeMoveMinimax(move);
+        // Update castling rights
+        if (piece === KING) {
+            rights.whiteKingSide = false;
+            rights.whiteQueenSide = false;
+        } else if (piece === -KING) {
+            rights.blackKingSide = false;
+            rights.blackQueenSide = false;
+        } else if (piece === ROOK) {
+            if (from === 0x77) rights.whiteKingSide = false;
+            if (from === 0x70) rights.whiteQueenSide = false;
+        } else if (piece === -ROOK) {
+            if (from === 0x07) rights.blackKingSide = false;
+            if (from === 0x00) rights.blackQueenSide = false;
+        }
 
-                const evaluation = this.minimax(depth - 1, alpha, beta, false);
+        // Capturing a rook on its home square removes that castling right
+        if (to === 0x77) rights.whiteKingSide = false;
+        if (to === 0x70) rights.whiteQueenSide = false;
+        if (to === 0x07) rights.blackKingSide = false;
+        if (to === 0x00) rights.blackQueenSide = false;
 
-                // Restore state
-                this._restoreState(savedState);
+        // Fifty-move rule counter resets on pawn moves and captures
+        this.halfmoveClock = isPawn || isCapture ? 0 : this.halfmoveClock + 1;
 
-                maxEval = Math.max(maxEval, evaluation);
-                alpha = Math.max(alpha, evaluation);
-                if (beta <= alpha) break;
-            }
-            return maxEval;
+        // A double pawn push leaves the skipped square open to en passant
+        if (isPawn && Math.abs(to - from) === 32) {
+            const skipped = (from + to) >> 1;
+            this.enPassant = SQUARES[(skipped >> 4) * 8 + (skipped & 7)];
         } else {
-            let minEval = Infinity;
-            for (const move of moves) {
-                // Save state
-                const savedState = this._saveState();
-                
-                // Make move using the full makeMove logic
-                this._makeMoveMinimax(move);
+            this.enPassant = null;
+        }
 
-                const evaluation = this.minimax(depth - 1, alpha, beta, true);
+        this.whiteToMove = !this.whiteToMove;
 
-                // Restore state
-                this._restoreState(savedState);
+        const rightsAfter = this._castlingMask();
+        const epFileAfter = this._enPassantFile();
+        this._hashLo ^= ZOBRIST_SIDE_LO ^ ZOBRIST_CASTLING_LO[rightsBefore] ^ ZOBRIST_CASTLING_LO[rightsAfter];
+        this._hashHi ^= ZOBRIST_SIDE_HI ^ ZOBRIST_CASTLING_HI[rightsBefore] ^ ZOBRIST_CASTLING_HI[rightsAfter];
+        if (epFileBefore >= 0) {
+            this._hashLo ^= ZOBRIST_EP_LO[epFileBefore];
+            this._hashHi ^= ZOBRIST_EP_HI[epFileBefore];
+        }
+        if (epFileAfter >= 0) {
+            this._hashLo ^= ZOBRIST_EP_LO[epFileAfter];
+            this._hashHi ^= ZOBRIST_EP_HI[epFileAfter];
+        }
+    }
 
-                minEval = Math.min(minEval, evaluation);
-                beta = Math.min(beta, evaluation);
-                if (beta <= alpha) break;
+    /**
+     * Take back a move made with _makeMoveMinimax()
+     * @param {Object} [record] - Unmake record; defaults to popping the latest one
+     */
+    _unmakeMove(record = this._unmakeStack[--this._unmakeCount]) {
+        const squares = this._squares;
+        const counts = this._pieceCounts;
+        const rights = this.castlingRights;
+        const piece = record.piece;
+
+        // A promotion left another piece on the destination
+        const arrived = squares[record.to];
+        if (arrived !== piece) {
+            counts[arrived + 6]--;
+            counts[piece + 6]++;
+        }
+        if (record.captured !== 0) counts[record.captured + 6]++;
+
+        squares[record.to] = 0;
+        squares[record.capturedSquare] = record.captured;
+        squares[record.from] = piece;
+
+        if (piece === KING || piece === -KING) {
+            this._kingSquares[piece > 0 ? 0 : 1] = record.from;
+            if (record.rookFrom >= 0) {
+                squares[record.rookFrom] = squares[record.rookTo];
+                squares[record.rookTo] = 0;
             }
-            return minEval;
         }
+
+        rights.whiteKingSide = record.whiteKingSide;
+        rights.whiteQueenSide = record.whiteQueenSide;
+        rights.blackKingSide = record.blackKingSide;
+        rights.blackQueenSide = record.blackQueenSide;
+        this.enPassant = record.enPassant;
+        this.halfmoveClock = record.halfmoveClock;
+        this._hashLo = record.hashLo;
+        this._hashHi = record.hashHi;
+        this.whiteToMove = !this.whiteToMove;
     }
 
     /**
-     * Helper to save game state for minimax
+     * Check the clock and abort signal of a limited search
      */
-    _saveState() {
-        return {
-            board: this.board.map(row => [...row]),
-            whiteToMove: this.whiteToMove,
-            castlingRights: { ...this.castlingRights }
-        };
+    _outOfTime(limits) {
+        return performance.now() >= limits.deadline || (limits.signal !== undefined && limits.signal.aborted);
     }
 
     /**
-     * Helper to restore game state for minimax
+     * Get the best move for the current position. A position in options.book
+     * is answered from the book without searching. Otherwise searches depth 1,
+     * then 2, and so on; when a limit is hit mid-iteration that iteration is
+     * thrown away and the move from the last completed depth is returned.
+     * Depth 1 always completes, so there is a move whenever one is legal.
+     * With options.strength set the search is capped by the level's limits and
+     * the move is chosen among the best few as the level says, so it may not be
+     * the best one.
+     * @param {number|Object} [options] - Search depth, or an object with:
+     * @param {number} [options.maxDepth] - Deepest iteration (default 2, or no limit when timeMs or nodes is given)
+     * @param {number} [options.timeMs] - Time budget in milliseconds
+     * @param {number} [options.nodes] - Node budget
+     * @param {Function} [options.onInfo] - Called after each completed depth with
+     *   {depth, score, nodes, timeMs, move, pv, choice}; score is from White's point
+     *   of view, pv is the expected line as a list of moves and choice is the move
+     *   the strength level would play if the search ended here
+     * @param {AbortSignal} [options.signal] - Stops the search once aborted
+     * @param {Array<Object>} [options.searchMoves] - Only consider these moves
+     *   ({fromRow, fromCol, toRow, toCol, promotion?}); the book is not used
+     * @returns {Object|null} Best move (with its score, or book: true and no score for a
+     *   book move), or null if there is no legal move
      */
-    _restoreState(state) {
-        this.board = state.board;
-        this.whiteToMove = state.whiteToMove;
-        this.castlingRights = state.castlingRights;
+    getBestMove(options = {}) {
+        const { maxDepth, timeMs, nodes, onInfo, signal, searchMoves } =
+            typeof options === 'number' ? { maxDepth: options } : options;
+
+        if (this.options.book && !searchMoves) {
+            const move = this.options.book.pick(this, { selection: this.options.bookSelection, random: this.random });
+            if (move) {
+                this.nodes = 0;
+                return { ...move, book: true };
+            }
+        }
+
+        const strength = this._strengthSettings();
+        const limits = strength
+            ? { maxDepth: capLimit(maxDepth, strength.maxDepth), timeMs, nodes: capLimit(nodes, strength.nodes), signal, searchMoves }
+            : { maxDepth, timeMs, nodes, signal, searchMoves };
+        const candidates = strength ? strength.candidates ?? 1 : 1;
+
+        // Every depth chooses with the same random numbers, so a search stopped
+        // early plays what the level would have played at that depth
+        const choiceSeed = strength ? Math.floor(this.random() * 2 ** 32) : 0;
+        const choose = lines => strength ? this._chooseMove(lines, strength, createRandom(choiceSeed)) : lines[0];
+
+        const result = this._deepen(limits, candidates, (depth, lines, elapsed) => {
+            if (!onInfo) return;
+            const [best] = lines;
+            onInfo({
+                depth,
+                score: best.score,
+                nodes: this.nodes,
+                timeMs: elapsed,
+                move: best,
+                pv: this._principalVariation(best, depth),
+                choice: choose(lines)
+            });
+        });
+
+        if (!result) return null;
+        return choose(result.lines);
     }
 
     /**
-     * Make a move in minimax without validation (move is already validated)
+     * The strength option as settings, or null at full strength
+     * @returns {Object|null}
      */
-    _makeMoveMinimax(move) {
-        const piece = this.board[move.fromRow][move.fromCol];
-        this.board[move.toRow][move.toCol] = piece;
-        this.board[move.fromRow][move.fromCol] = '.';
+    _strengthSettings() {
+        const { strength } = this.options;
+        if (strength === null || strength === undefined) return null;
+        return typeof strength === 'number' ? STRENGTH_LEVELS[strength - 1] : strength;
+    }
 
-        // Handle castling - move the rook
-        if (piece === 'K' && Math.abs(move.toCol - move.fromCol) === 2) {
-            if (move.toCol === 6) {
-                this.board[7][5] = 'R';
-                this.board[7][7] = '.';
-            } else if (move.toCol === 2) {
-                this.board[7][3] = 'R';
-                this.board[7][0] = '.';
-            }
-        } else if (piece === 'k' && Math.abs(move.toCol - move.fromCol) === 2) {
-            if (move.toCol === 6) {
-                this.board[0][5] = 'r';
-                this.board[0][7] = '.';
-            } else if (move.toCol === 2) {
-                this.board[0][3] = 'r';
-                this.board[0][0] = '.';
-            }
+    /**
+     * Choose the move a limited strength plays from the best root moves
+     * @param {Array<Object>} lines - Root moves with exact scores, best first
+     * @param {Object} strength - {window, noise, blunder}, see STRENGTH_LEVELS
+     * @param {Function} random - Random numbers in [0, 1)
+     * @returns {Object} One of lines
+     */
+    _chooseMove(lines, { window = 0, noise = 0, blunder = 0 }, random) {
+        if (blunder > 0 && random() < blunder) {
+            return lines[Math.floor(random() * lines.length)];
         }
 
-        // Pawn promotion
-        if ((piece === 'P' && move.toRow === 0) || (piece === 'p' && move.toRow === 7)) {
-            this.board[move.toRow][move.toCol] = piece === 'P' ? 'Q' : 'q';
+        // Scores from the mover's point of view
+        const sign = this.whiteToMove ? 1 : -1;
+        const best = sign * lines[0].score;
+        let choice = lines[0];
+        let choiceValue = -Infinity;
+        for (const line of lines) {
+            const value = sign * line.score;
+            if (value < best - window) break;
+            const noisy = value + (random() * 2 - 1) * noise;
+            if (noisy > choiceValue) {
+                choice = line;
+                choiceValue = noisy;
+            }
         }
+        return choice;
+    }
 
-        // Update castling rights
-        if (piece === 'K') {
-            this.castlingRights.whiteKingSide = false;
-            this.castlingRights.whiteQueenSide = false;
-        } else if (piece === 'k') {
-            this.castlingRights.blackKingSide = false;
-            this.castlingRights.blackQueenSide = false;
-        } else if (piece === 'R') {
-            if (move.fromRow === 7 && move.fromCol === 7) this.castlingRights.whiteKingSide = false;
-            if (move.fromRow === 7 && move.fromCol === 0) this.castlingRights.whiteQueenSide = false;
-        } else if (piece === 'r') {
-            if (move.fromRow === 0 && move.fromCol === 7) this.castlingRights.blackKingSide = false;
-            if (move.fromRow === 0 && move.fromCol === 0) this.castlingRights.blackQueenSide = false;
+    /**
+     * Analyse the position: the same iterative deepening search as
+     * getBestMove(), but keeping exact scores and lines for the best
+     * multiPV root moves instead of just the best one
+     * @param {Object} [options]
+     * @param {number} [options.depth] - Deepest iteration (default 2, or no limit when timeMs or nodes is given)
+     * @param {number} [options.timeMs] - Time budget in milliseconds
+     * @param {number} [options.nodes] - Node budget
+     * @param {number} [options.multiPV=1] - Number of root moves to report
+     * @param {AbortSignal} [options.signal] - Stops the search once aborted
+     * @param {Array<Object>} [options.searchMoves] - Only consider these moves
+     * @returns {Object|null} {depth, nodes, timeMs, lines} from the last completed
+     *   depth, or null if there is no legal move. lines are best first, each
+     *   {move, score, pv, pvSAN, pvUCI}: score from White's point of view and
+     *   pv the expected line as moves, SAN and UCI text
+     */
+    analyze(options = {}) {
+        const { depth, timeMs, nodes, multiPV = 1, signal, searchMoves } = options;
+        if (!Number.isInteger(multiPV) || multiPV < 1) {
+            throw new Error(`multiPV must be a positive integer, got ${multiPV}`);
         }
 
-        this.whiteToMove = !this.whiteToMove;
+        const result = this._deepen({ maxDepth: depth, timeMs, nodes, signal, searchMoves }, multiPV);
+        if (!result) return null;
+
+        const lines = result.lines.map(move => {
+            const pv = this._principalVariation(move, result.depth);
+            const pvSAN = pv.map(step => {
+                const san = this.moveToSAN(step);
+                this._makeMoveMinimax(step);
+                return san;
+            });
+            for (let i = 0; i < pv.length; i++) this._unmakeMove();
+            return { move, score: move.score, pv, pvSAN, pvUCI: pv.map(step => this.moveToUCI(step)) };
+        });
+
+        return { depth: result.depth, nodes: this.nodes, timeMs: result.timeMs, lines };
     }
 
     /**
-     * Get the best move for the current position
-     * @param {number} depth - Search depth (1-5)
-     * @returns {Object} Best move object
+     * Iterative deepening driver shared by getBestMove() and analyze(): runs
+     * _searchRoot() at depth 1, 2, ... until a limit is reached
+     * @param {Object} limits - {maxDepth, timeMs, nodes, signal, searchMoves}
+     * @param {number} multiPV - Root moves to score exactly
+     * @param {Function} [onDepth] - Called with (depth, lines, elapsedMs) after each completed depth
+     * @returns {Object|null} {depth, lines, timeMs} of the last completed depth, or null if there is
+     *   no legal move (among searchMoves, when given)
      */
-    getBestMove(depth = 2) {
-        const moves = this.generateMoves();
+    _deepen({ maxDepth, timeMs = Infinity, nodes = Infinity, signal, searchMoves }, multiPV, onDepth) {
+        const depthLimit = maxDepth ?? (timeMs < Infinity || nodes < Infinity ? MAX_SEARCH_DEPTH : 2);
+
+        this._startSearch();
+        let moves = this.generateMoves();
+        if (searchMoves) {
+            moves = moves.filter(move => searchMoves.some(wanted => sameMove(move, wanted)));
+        }
         if (moves.length === 0) {
             return null;
         }
 
-        let bestMove = null;
-        let bestScore = this.whiteToMove ? -Infinity : Infinity;
-        let alpha = -Infinity;
-        let beta = Infinity;
+        const startTime = performance.now();
+        const limits = { deadline: startTime + timeMs, nodes, signal, armed: false };
+        const unmakeBase = this._unmakeCount;
+        let result = null;
+
+        this._limits = limits;
+        try {
+            for (let depth = 1; depth <= depthLimit; depth++) {
+                let lines;
+                try {
+                    lines = this._searchRoot(moves, depth, multiPV);
+                } catch (error) {
+                    if (error !== SEARCH_STOPPED) throw error;
+                    break;
+                }
+                limits.armed = true;
+
+                const elapsed = performance.now() - startTime;
+                result = { depth, lines, timeMs: elapsed };
+                if (onDepth) onDepth(depth, lines, elapsed);
+
+                // A found mate cannot be improved on, and an iteration started
+                // past half the budget would rarely finish
+                if (Math.abs(lines[0].score) > MATE_BOUND ||
+                    this.nodes >= nodes || elapsed >= timeMs / 2 ||
+                    (signal !== undefined && signal.aborted)) break;
+            }
+        } finally {
+            // Take back whatever a stopped iteration left on the board
+            while (this._unmakeCount > unmakeBase) this._unmakeMove();
+            this._limits = null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Search every root move to a fixed depth. Moves that cannot make the
+     * best multiPV are only searched far enough to prove it.
+     * @returns {Array<Object>} Copies of the best multiPV moves with their scores, best first
+     */
+    _searchRoot(moves, depth, multiPV = 1) {
+        const table = this.hashTable;
+        const slot = table ? table.probe(this._hashLo, this._hashHi) : -1;
+        this._orderMoves(moves, slot >= 0 ? table.moves[slot] : 0, 0);
+
+        const white = this.whiteToMove;
+        const ranked = [];
 
         for (const move of moves) {
-            // Save state
-            const savedState = this._saveState();
-            
-            // Make move
+            // Until multiPV moves are in, every score must be exact; after
+            // that a move only matters if it beats the last of them
+            const full = ranked.length < multiPV;
+            const bound = full ? (white ? -Infinity : Infinity) : ranked[ranked.length - 1].score;
+
             this._makeMoveMinimax(move);
 
-            const evaluation = this.minimax(depth - 1, alpha, beta, !this.whiteToMove);
+            // The move has been made, so whiteToMove is now the replying side
+            const evaluation = white
+                ? this.minimax(depth - 1, bound, Infinity, false)
+                : this.minimax(depth - 1, -Infinity, bound, true);
+
+            this._unmakeMove();
+
+            const isBetter = white ? evaluation > bound : evaluation < bound;
+            if (full || isBetter) {
+                // Ties keep the earlier move ahead
+                let index = ranked.length;
+                while (index > 0 && (white ? evaluation > ranked[index - 1].score : evaluation < ranked[index - 1].score)) index--;
+                ranked.splice(index, 0, { ...move, score: evaluation });
+                if (ranked.length > multiPV) ranked.pop();
+            }
+        }
+
+        if (table) {
+            table.store(this._hashLo, this._hashHi, depth, TT_EXACT, ranked[0].score, encodeMove(ranked[0]));
+        }
+        return ranked;
+    }
+
+    /**
+     * Follow the transposition table's best moves from a root move
+     * @param {Object} first - Root move
+     * @param {number} length - Longest line to return
+     * @returns {Array<Object>} Moves of the expected line, starting with first
+     */
+    _principalVariation(first, length) {
+        const pv = [first];
+        this._makeMoveMinimax(first);
+
+        const table = this.hashTable;
+        while (table && pv.length < length) {
+            const slot = table.probe(this._hashLo, this._hashHi);
+            if (slot < 0 || table.moves[slot] === 0) break;
+            const move = this.generateMoves().find(m => encodeMove(m) === table.moves[slot]);
+            if (!move) break;
+            pv.push(move);
+            this._makeMoveMinimax(move);
+        }
 
-            // Restore state
-            this._restoreState(savedState);
+        for (let i = 0; i < pv.length; i++) this._unmakeMove();
+        return pv;
+    }
 
-            move.score = evaluation;
+    /**
+     * Count the leaf nodes of the legal move tree (move generator verification)
+     * @param {number} depth - Plies to expand
+     * @returns {number}
+     */
+    perft(depth) {
+        if (depth === 0) return 1;
 
-            const isBetter = this.whiteToMove 
-                ? evaluation > bestScore 
-                : evaluation < bestScore;
+        const moves = this.generateMoves();
+        if (depth === 1) return moves.length;
 
-            if (!bestMove || isBetter) {
-                bestMove = move;
-                bestScore = evaluation;
-                if (this.whiteToMove) {
-                    alpha = Math.max(alpha, evaluation);
-                } else {
-                    beta = Math.min(beta, evaluation);
-                }
-            }
+        let nodes = 0;
+        for (const move of moves) {
+            this._makeMoveMinimax(move);
+            nodes += this.perft(depth - 1);
+            this._unmakeMove();
         }
+        return nodes;
+    }
 
-        return bestMove;
+    /**
+     * Perft split by root move, for narrowing down move generator bugs
+     * @param {number} depth - Plies to expand (at least 1)
+     * @returns {Object} Leaf count keyed by UCI move, e.g. { e2e4: 600, ... }
+     */
+    divide(depth) {
+        const counts = {};
+        for (const move of this.generateMoves()) {
+            this._makeMoveMinimax(move);
+            counts[this.moveToUCI(move)] = this.perft(depth - 1);
+            this._unmakeMove();
+        }
+        return counts;
     }
 
     /**
@@ -847,11 +3135,71 @@ export class GBChessGame {
     }
 
     /**
-     * Check if the game is over (no legal moves)
+     * Check if neither side has enough material to deliver mate
+     * (bare kings, a single minor piece, or bishops all on one square colour)
+     * @returns {boolean}
+     */
+    isInsufficientMaterial() {
+        this._syncBoard();
+        const counts = this._pieceCounts;
+
+        // Any pawn, rook or queen can still mate
+        if (counts[6 + PAWN] + counts[6 - PAWN] + counts[6 + ROOK] + counts[6 - ROOK] +
+            counts[6 + QUEEN] + counts[6 - QUEEN] > 0) return false;
+
+        const knights = counts[6 + KNIGHT] + counts[6 - KNIGHT];
+        const minors = knights + counts[6 + BISHOP] + counts[6 - BISHOP];
+        if (minors <= 1) return true;
+        if (knights > 0) return false;
+
+        let lightBishops = 0;
+        let darkBishops = 0;
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const code = this._squares[r * 16 + c];
+                if (code !== BISHOP && code !== -BISHOP) continue;
+                if ((r + c) % 2 === 0) lightBishops++;
+                else darkBishops++;
+            }
+        }
+        return lightBishops === 0 || darkBishops === 0;
+    }
+
+    /**
+     * Get the result of the game, or null if it is still in progress
+     * @returns {Object|null} {result, winner} where result is a GBResult value
+     *   and winner is 'white', 'black' or null for a draw
+     */
+    getGameResult() {
+        if (this.countMoves() === 0) {
+            if (this.isInCheck(this.whiteToMove)) {
+                return { result: GBResult.CHECKMATE, winner: this.whiteToMove ? 'black' : 'white' };
+            }
+            return { result: GBResult.STALEMATE, winner: null };
+        }
+
+        if (this.isInsufficientMaterial()) {
+            return { result: GBResult.INSUFFICIENT_MATERIAL, winner: null };
+        }
+
+        if (this.halfmoveClock >= 100) {
+            return { result: GBResult.FIFTY_MOVE, winner: null };
+        }
+
+        const key = this.positionKey();
+        if (this.positionHistory.filter(k => k === key).length >= 3) {
+            return { result: GBResult.THREEFOLD_REPETITION, winner: null };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if the game is over (mate, stalemate or a rule draw)
      * @returns {boolean}
      */
     isGameOver() {
-        return this.generateMoves().length === 0;
+        return this.getGameResult() !== null;
     }
 
     /**
@@ -875,16 +3223,26 @@ export class GBChessGame {
      * @returns {GBChessGame}
      */
     clone() {
-        const cloned = new GBChessGame();
-        cloned.board = this.board.map(row => [...row]);
+        this._syncBoard();
+        const cloned = new GBChessGame({ ...this.options, hashTable: this.hashTable });
+        this._writeBoard(cloned.board);
         cloned.whiteToMove = this.whiteToMove;
         cloned.moveCount = this.moveCount;
         cloned.castlingRights = { ...this.castlingRights };
+        cloned.enPassant = this.enPassant;
+        cloned.halfmoveClock = this.halfmoveClock;
+        cloned.positionHistory = [...this.positionHistory];
+        cloned._historyLo = [...this._historyLo];
+        cloned._historyHi = [...this._historyHi];
+        cloned.startFEN = this.startFEN;
+        cloned.moveStack = [...this.moveStack];
+        cloned.redoStack = [...this.redoStack];
+        cloned._loadBoard();
         return cloned;
     }
 }
 
 // Export for both ES6 modules and CommonJS
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { GBChessGame, GBDifficulty };
+    module.exports = { GBChessGame, GBDifficulty, GBResult, GBPersonality, GBEvaluator, GBBookSelection, STRENGTH_LEVELS, START_FEN, TranspositionTable, createRandom, describeScore, squareName, parseSquare };
 }
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Engine-vs-engine matches for the GB Chess Engine
+ * Plays two sets of GBChessGame options against each other from openings of
+ * the built-in book, each opening once with either colour, to measure the
+ * strength levels (STRENGTH_LEVELS) against each other:
+ *   node match.js 4 5 [--games=20] [--seed=1]   level 4 against level 5
+ *   node match.js calibrate [--games=20]        every level against the next
+ */
+
+import { realpathSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { GBChessGame, STRENGTH_LEVELS, START_FEN, createRandom } from './gbchess.js';
+import { OpeningBook } from './book.js';
+
+// Book plies played before the engines take over
+const OPENING_PLIES = 8;
+
+// Games still going after this many plies are scored as draws
+const MAX_PLIES = 300;
+
+/**
+ * Play one game
+ * @param {Object} white - GBChessGame options for White, e.g. { strength: 4, seed: 1 }
+ * @param {Object} black - GBChessGame options for Black
+ * @param {Object} [options]
+ * @param {string} [options.fen] - Starting position (default: the standard start position)
+ * @param {Array<string>} [options.opening] - Moves in UCI notation played before the engines
+ * @param {number} [options.maxPlies=300] - Plies (opening included) after which the game is a draw
+ * @param {Object} [options.search] - getBestMove() limits for every move
+ * @returns {Object} {winner: 'white' | 'black' | null, reason, moves}: reason is a
+ *   GBResult value or 'move-limit', moves the game in UCI notation
+ */
+export function playGame(white, black, { fen = START_FEN, opening = [], maxPlies = MAX_PLIES, search = {} } = {}) {
+    // Each side keeps its own game, so neither shares the other's table or random numbers
+    const players = [white, black].map(options => GBChessGame.fromFEN(fen, options));
+    const [referee] = players;
+    const moves = [];
+    const play = text => {
+        for (const game of players) {
+            const move = game.parseUCI(text);
+            game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        }
+        moves.push(text);
+    };
+
+    opening.forEach(play);
+    while (!referee.isGameOver() && moves.length < maxPlies) {
+        const move = players[referee.whiteToMove ? 0 : 1].getBestMove(search);
+        play(referee.moveToUCI(move));
+    }
+
+    const result = referee.getGameResult();
+    return result
+        ? { winner: result.winner, reason: result.result, moves }
+        : { winner: null, reason: 'move-limit', moves };
+}
+
+/**
+ * Play a match: the same opening once with each side as White
+ * @param {Object} first - GBChessGame options for one side
+ * @param {Object} second - GBChessGame options for the other
+ * @param {Object} [options]
+ * @param {number} [options.games=10] - Games to play (an odd last game has first as White)
+ * @param {number} [options.seed=1] - Seed for the openings and the players' random choices
+ * @param {number} [options.maxPlies=300] - See playGame()
+ * @param {Object} [options.search] - See playGame()
+ * @param {Function} [options.onGame] - Called after each game with playGame()'s result
+ *   plus index and firstIsWhite
+ * @returns {Object} {wins, draws, losses, score, elo} from first's point of view: score
+ *   is the fraction of points won and elo the rating difference it implies
+ */
+export function playMatch(first, second, { games = 10, seed = 1, maxPlies = MAX_PLIES, search = {}, onGame } = {}) {
+    const book = OpeningBook.createDefault();
+    let wins = 0;
+    let draws = 0;
+    let losses = 0;
+
+    for (let index = 0; index < games; index++) {
+        const opening = bookOpening(book, createRandom(seed + Math.floor(index / 2)));
+        const firstIsWhite = index % 2 === 0;
+        const a = { ...first, seed: seed * 1000 + index * 2 };
+        const b = { ...second, seed: seed * 1000 + index * 2 + 1 };
+        const game = firstIsWhite
+            ? playGame(a, b, { opening, maxPlies, search })
+            : playGame(b, a, { opening, maxPlies, search });
+
+        if (game.winner === null) draws++;
+        else if ((game.winner === 'white') === firstIsWhite) wins++;
+        else losses++;
+        if (onGame) onGame({ index, firstIsWhite, ...game });
+    }
+
+    const score = (wins + draws / 2) / games;
+    return { wins, draws, losses, score, elo: eloDifference(score) };
+}
+
+/**
+ * Rating difference implied by a match score
+ * @param {number} score - Fraction of the points won, 0 to 1
+ * @returns {number} Elo points, rounded (infinite for a whitewash)
+ */
+export function eloDifference(score) {
+    return Math.round(-400 * Math.log10(1 / score - 1));
+}
+
+/**
+ * Pick an opening from the book, weighted as the book is
+ * @returns {Array<string>} Up to OPENING_PLIES moves in UCI notation
+ */
+function bookOpening(book, random) {
+    const game = new GBChessGame();
+    const moves = [];
+    while (moves.length < OPENING_PLIES) {
+        const move = book.pick(game, { random });
+        if (!move) break;
+        moves.push(game.moveToUCI(move));
+        game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+    }
+    return moves;
+}
+
+/**
+ * Format a match result as "+W =D -L, score%, Elo"
+ */
+function describeMatch({ wins, draws, losses, score, elo }) {
+    const rating = Number.isFinite(elo) ? (elo > 0 ? `+${elo}` : `${elo}`) : (elo > 0 ? '+inf' : '-inf');
+    return `+${wins} =${draws} -${losses}, ${(score * 100).toFixed(1)}%, Elo ${rating}`;
+}
+
+// Command line: node match.js <level> <level> | calibrate [--games=N] [--seed=N]
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+    const args = process.argv.slice(2);
+    const flags = {};
+    for (const arg of args) {
+        const match = /^--(\w+)=(\d+)$/.exec(arg);
+        if (match) flags[match[1]] = Number(match[2]);
+    }
+    const [mode, other] = args.filter(arg => !arg.startsWith('--'));
+    const settings = { games: flags.games ?? 10, seed: flags.seed ?? 1 };
+    const level = text => {
+        const number = Number(text);
+        if (!STRENGTH_LEVELS[number - 1]) {
+            console.error(`Unknown level '${text}': expected 1 to ${STRENGTH_LEVELS.length}`);
+            process.exit(1);
+        }
+        return number;
+    };
+
+    if (mode === 'calibrate') {
+        for (let weaker = 1; weaker < STRENGTH_LEVELS.length; weaker++) {
+            const result = playMatch({ strength: weaker + 1 }, { strength: weaker }, settings);
+            console.log(`Level ${weaker + 1} vs ${weaker}: ${describeMatch(result)}`);
+        }
+    } else if (mode !== undefined && other !== undefined) {
+        const [first, second] = [level(mode), level(other)];
+        const result = playMatch({ strength: first }, { strength: second }, {
+            ...settings,
+            onGame: ({ index, firstIsWhite, winner, reason, moves }) => {
+                const [white, black] = firstIsWhite ? [first, second] : [second, first];
+                const score = winner === 'white' ? '1-0' : winner === 'black' ? '0-1' : '1/2-1/2';
+                console.log(`Game ${index + 1}: level ${white} - level ${black} ${score} (${reason}, ${moves.length} plies)`);
+            }
+        });
+        console.log(`Level ${first} vs ${second}: ${describeMatch(result)}`);
+    } else {
+        console.error('Usage: node match.js <level> <level> | calibrate [--games=N] [--seed=N]');
+        process.exit(1);
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * PGN (Portable Game Notation) import and export for GBChessGame
+ * Export writes the Seven Tag Roster, SAN movetext and optional per-move
+ * comments (e.g. engine score/depth). Import reads headers, SAN, comments,
+ * NAGs and variations, then replays the main line to the final position.
+ */
+
+import { GBChessGame, START_FEN, describeScore } from './gbchess.js';
+
+// Tags every PGN game must carry, in their required order
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+// Suffix annotations and the NAGs they stand for
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Export lines are wrapped to this many characters
+const LINE_WIDTH = 80;
+
+/**
+ * Get the PGN result token for a game
+ * @param {GBChessGame} game - Game to inspect
+ * @returns {string} "1-0", "0-1", "1/2-1/2" or "*" while the game is in progress
+ */
+export function resultToken(game) {
+    const result = game.getGameResult();
+    if (!result) return '*';
+    if (result.winner === 'white') return '1-0';
+    if (result.winner === 'black') return '0-1';
+    return '1/2-1/2';
+}
+
+/**
+ * Format a per-move comment
+ * @param {string|Object} comment - Plain text, or {score, depth, text} where score
+ *   is a search score from White's point of view (mates are written as #N / #-N)
+ * @returns {string} Comment text without braces
+ */
+function formatComment(comment) {
+    if (typeof comment === 'string') return comment;
+
+    const parts = [];
+    if (typeof comment.score === 'number') {
+        const described = describeScore(comment.score);
+        const pawns = (comment.score / 100).toFixed(2);
+        let score = described.type === 'mate' ? '#' + described.moves : comment.score >= 0 ? '+' + pawns : pawns;
+        if (comment.depth) score += '/' + comment.depth;
+        parts.push(score);
+    }
+    if (comment.text) parts.push(comment.text);
+    return parts.join(' ');
+}
+
+/**
+ * Export a game as PGN
+ * @param {GBChessGame} game - Game whose moves were made with makeMove()
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Tag values overriding the defaults (e.g. White, Black, Event)
+ * @param {Array<string|Object>} [options.comments] - Comment per ply (index 0 is the first move)
+ * @returns {string}
+ */
+export function exportPGN(game, options = {}) {
+    const headers = {
+        Event: '?',
+        Site: '?',
+        Date: '????.??.??',
+        Round: '?',
+        White: '?',
+        Black: '?',
+        Result: resultToken(game),
+        ...options.headers
+    };
+    if (game.startFEN !== START_FEN) {
+        headers.SetUp = '1';
+        headers.FEN = game.startFEN;
+    }
+
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const tagNames = [...SEVEN_TAG_ROSTER, ...Object.keys(headers).filter(name => !SEVEN_TAG_ROSTER.includes(name))];
+    const tags = tagNames.map(name => `[${name} "${escape(headers[name])}"]`);
+
+    // Movetext, numbered from the start position's move counter
+    const comments = options.comments || [];
+    const startPly = GBChessGame.fromFEN(game.startFEN).moveCount;
+    const tokens = [];
+    let needNumber = true;
+
+    game.history().forEach((move, ply) => {
+        const moveNumber = Math.floor((startPly + ply) / 2) + 1;
+        if ((startPly + ply) % 2 === 0) {
+            tokens.push(`${moveNumber}.`);
+        } else if (needNumber) {
+            tokens.push(`${moveNumber}...`);
+        }
+        tokens.push(move.san);
+        needNumber = false;
+
+        const comment = comments[ply] ? formatComment(comments[ply]).replace(/}/g, ')') : '';
+        if (comment) {
+            tokens.push(`{${comment}}`);
+            needNumber = true;
+        }
+    });
+    tokens.push(headers.Result);
+
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + 1 + token.length > LINE_WIDTH) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? line + ' ' + token : token;
+        }
+    }
+    lines.push(line);
+
+    return tags.join('\n') + '\n\n' + lines.join('\n') + '\n';
+}
+
+/**
+ * Split PGN text into tokens
+ * @param {string} text - PGN text
+ * @returns {Array<Object>} Tokens of the form {type, value}
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '%' && (i === 0 || text[i - 1] === '\n')) {
+            // Escape line
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (ch === '[') {
+            const match = /^\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/.exec(text.slice(i));
+            if (!match) {
+                throw new Error(`Invalid PGN: malformed tag at offset ${i}`);
+            }
+            tokens.push({ type: 'tag', name: match[1], value: match[2].replace(/\\(.)/g, '$1') });
+            i += match[0].length;
+        } else if (ch === '{') {
+            const end = text.indexOf('}', i);
+            if (end < 0) {
+                throw new Error(`Invalid PGN: unterminated comment at offset ${i}`);
+            }
+            tokens.push({ type: 'comment', value: text.slice(i + 1, end).trim() });
+            i = end + 1;
+        } else if (ch === ';') {
+            const end = text.indexOf('\n', i);
+            const stop = end < 0 ? text.length : end;
+            tokens.push({ type: 'comment', value: text.slice(i + 1, stop).trim() });
+            i = stop;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch });
+            i++;
+        } else if (ch === '$') {
+            const match = /^\$(\d+)/.exec(text.slice(i));
+            if (!match) {
+                throw new Error(`Invalid PGN: malformed NAG at offset ${i}`);
+            }
+            tokens.push({ type: 'nag', value: Number(match[1]) });
+            i += match[0].length;
+        } else if (ch === '!' || ch === '?') {
+            const match = /^[!?]{1,2}/.exec(text.slice(i));
+            const nag = SUFFIX_NAGS[match[0]];
+            if (nag === undefined) {
+                throw new Error(`Invalid PGN: unknown annotation '${match[0]}' at offset ${i}`);
+            }
+            tokens.push({ type: 'nag', value: nag });
+            i += match[0].length;
+        } else {
+            const rest = text.slice(i);
+            const result = /^(1-0|0-1|1\/2-1\/2|\*)(?![\w-])/.exec(rest);
+            const number = /^\d+\s*\.+/.exec(rest);
+            if (result) {
+                tokens.push({ type: 'result', value: result[1] });
+                i += result[0].length;
+            } else if (number) {
+                // Move numbers ("12." or "12...") carry no information we need
+                i += number[0].length;
+            } else {
+                const match = /^[A-Za-z0-9_+#=:\-/]+/.exec(rest);
+                if (!match) {
+                    throw new Error(`Invalid PGN: unexpected character '${ch}' at offset ${i}`);
+                }
+                tokens.push({ type: 'move', value: match[0] });
+                i += match[0].length;
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse PGN text without replaying the moves
+ * @param {string} text - PGN of a single game
+ * @returns {Object} {headers, moves, result}; each move is
+ *   {san, nags, comments, variations} and each variation is an array of moves
+ *   replacing that move. Comments before a line's first move are kept in its
+ *   commentsBefore.
+ * @throws {Error} If the text cannot be tokenized or variations are unbalanced
+ */
+export function parsePGN(text) {
+    const tokens = tokenize(String(text));
+    const headers = {};
+    let pos = 0;
+
+    while (pos < tokens.length && tokens[pos].type === 'tag') {
+        headers[tokens[pos].name] = tokens[pos].value;
+        pos++;
+    }
+
+    let result = null;
+
+    const parseLine = nested => {
+        const moves = [];
+        let commentsBefore = [];
+
+        while (pos < tokens.length) {
+            const token = tokens[pos];
+            const last = moves[moves.length - 1];
+
+            if (token.type === 'move') {
+                moves.push({ san: token.value, nags: [], comments: [], variations: [] });
+                if (commentsBefore.length > 0) {
+                    moves[moves.length - 1].commentsBefore = commentsBefore;
+                    commentsBefore = [];
+                }
+            } else if (token.type === 'comment') {
+                if (last) last.comments.push(token.value);
+                else commentsBefore.push(token.value);
+            } else if (token.type === 'nag') {
+                if (!last) {
+                    throw new Error(`Invalid PGN: annotation $${token.value} before any move`);
+                }
+                last.nags.push(token.value);
+            } else if (token.type === '(') {
+                if (!last) {
+                    throw new Error('Invalid PGN: variation before any move');
+                }
+                pos++;
+                last.variations.push(parseLine(true));
+            } else if (token.type === ')') {
+                if (!nested) {
+                    throw new Error('Invalid PGN: unexpected ")"');
+                }
+                return moves;
+            } else if (token.type === 'result') {
+                if (nested) {
+                    throw new Error('Invalid PGN: game result inside a variation');
+                }
+                result = token.value;
+                pos++;
+                return moves;
+            } else if (token.type === 'tag') {
+                throw new Error(`Invalid PGN: tag [${token.name}] after the movetext started`);
+            }
+            pos++;
+        }
+
+        if (nested) {
+            throw new Error('Invalid PGN: unterminated variation');
+        }
+        return moves;
+    };
+
+    const moves = parseLine(false);
+    if (result === null && RESULTS.includes(headers.Result)) {
+        result = headers.Result;
+    }
+
+    return { headers, moves, result: result || '*' };
+}
+
+/**
+ * Import a PGN game, replaying its main line
+ * @param {string} text - PGN of a single game
+ * @returns {Object} {game, headers, moves, result} where game is the final position
+ * @throws {Error} If the PGN is malformed or a move is illegal; move errors name the ply
+ */
+export function importPGN(text) {
+    const { headers, moves, result } = parsePGN(text);
+
+    let game;
+    if (headers.FEN) {
+        try {
+            game = GBChessGame.fromFEN(headers.FEN);
+        } catch (error) {
+            throw new Error(`Invalid PGN FEN tag: ${error.message}`);
+        }
+    } else {
+        game = new GBChessGame();
+    }
+
+    moves.forEach((entry, index) => {
+        const moveNumber = Math.floor(game.moveCount / 2) + 1;
+        const label = `${moveNumber}${game.whiteToMove ? '.' : '...'} ${entry.san}`;
+        let move;
+        try {
+            move = game.parseSAN(entry.san);
+        } catch (error) {
+            throw new Error(`PGN error at ply ${index + 1} (${label}): ${error.message}`);
+        }
+        game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+    });
+
+    return { game, headers, moves, result };
+}
@@ -2,7 +2,17 @@
  * Test suite for GB Chess Engine JavaScript port
  */
 
-import { GBChessGame, GBDifficulty } from './gbchess.js';
+import { GBChessGame, GBBookSelection, GBDifficulty, GBEvaluator, GBPersonality, GBResult, STRENGTH_LEVELS, START_FEN, createRandom, describeScore } from './gbchess.js';
+import { exportPGN, importPGN, parsePGN } from './pgn.js';
+import { UCIEngine } from './uci.js';
+import { EngineHost } from './engine-host.js';
+import { OpeningBook, polyglotKey } from './book.js';
+import { KNOWN_WIN, evaluateEndgame, generateKPK, probeKPK } from './endgame.js';
+import { eloDifference, playGame, playMatch } from './match.js';
+import { COACH_DEPTH, GBMoveQuality, judgeMove, resultScore, reviewMove } from './coach.js';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 function assert(condition, message) {
     if (!condition) {
@@ -75,6 +85,93 @@ function testPawnPromotion() {
     console.log('✓ Pawn promotion passed');
 }
 
+function testUnderpromotion() {
+    console.log('Testing: Underpromotion...');
+    const setup = () => {
+        const game = new GBChessGame();
+        game.board = [
+            ['.', '.', '.', '.', 'K', '.', '.', 'k'],
+            ['.', '.', '.', '.', '.', '.', '.', '.'],
+            ['.', '.', '.', '.', '.', '.', '.', '.'],
+            ['.', '.', '.', '.', '.', '.', '.', '.'],
+            ['.', '.', '.', '.', '.', '.', '.', '.'],
+            ['.', '.', '.', '.', '.', '.', '.', '.'],
+            ['.', 'p', '.', '.', '.', '.', '.', '.'],
+            ['.', '.', '.', '.', '.', '.', '.', '.']
+        ];
+        game.whiteToMove = false;
+        return game;
+    };
+    
+    const game = setup();
+    const promotions = game.generateMoves().filter(m => m.fromRow === 6 && m.fromCol === 1);
+    assert(promotions.length === 4, 'Should generate one move per promotion piece');
+    assert(['Q', 'R', 'B', 'N'].every(p => promotions.some(m => m.promotion === p)), 'Should offer Q, R, B and N');
+    
+    assert(game.makeMove(6, 1, 7, 1, 'N') === true, 'Knight promotion should be valid');
+    assert(game.board[7][1] === 'n', 'Pawn should become a black knight');
+    
+    const rook = setup();
+    assert(rook.makeMove(6, 1, 7, 1, 'r') === true, 'Promotion piece should be case-insensitive');
+    assert(rook.board[7][1] === 'r', 'Pawn should become a black rook');
+    
+    const invalid = setup();
+    assert(invalid.makeMove(6, 1, 7, 1, 'K') === false, 'Promoting to a king should be rejected');
+    assert(invalid.board[6][1] === 'p', 'Rejected promotion should leave the pawn');
+    
+    console.log('✓ Underpromotion passed');
+}
+
+function testEnPassant() {
+    console.log('Testing: En passant...');
+    const game = new GBChessGame();
+    
+    game.makeMove(6, 4, 4, 4); // e4
+    game.makeMove(1, 0, 2, 0); // a6
+    game.makeMove(4, 4, 3, 4); // e5
+    game.makeMove(1, 3, 3, 3); // d5
+    assert(game.enPassant && game.enPassant.row === 2 && game.enPassant.col === 3, 'd6 should be the en passant target');
+    
+    const cloned = game.clone();
+    assert(cloned.isEnPassantTarget(2, 3), 'Clone should keep the en passant target');
+    
+    const epMoves = game.generateMoves().filter(m => m.fromRow === 3 && m.fromCol === 4 && m.toCol === 3);
+    assert(epMoves.length === 1, 'exd6 should be generated');
+    
+    assert(game.makeMove(3, 4, 2, 3) === true, 'exd6 e.p. should be valid');
+    assert(game.board[2][3] === 'P', 'Pawn should be at d6');
+    assert(game.board[3][3] === '.', 'Captured pawn should be removed from d5');
+    assert(game.enPassant === null, 'En passant target should be cleared');
+    
+    // Right only lasts one move
+    const late = new GBChessGame();
+    late.makeMove(6, 4, 4, 4); // e4
+    late.makeMove(1, 0, 2, 0); // a6
+    late.makeMove(4, 4, 3, 4); // e5
+    late.makeMove(1, 3, 3, 3); // d5
+    late.makeMove(7, 6, 5, 5); // Nf3
+    late.makeMove(2, 0, 3, 0); // a5
+    assert(late.isValidMove(3, 4, 2, 3) === false, 'exd6 should no longer be valid');
+    
+    // Capturing in passing must not expose the king along the rank
+    const pinned = new GBChessGame();
+    pinned.board = [
+        ['.', '.', '.', '.', 'k', '.', '.', '.'],
+        ['.', '.', '.', '.', '.', '.', '.', '.'],
+        ['.', '.', '.', '.', '.', '.', '.', '.'],
+        ['K', '.', '.', 'p', 'P', '.', '.', 'r'],
+        ['.', '.', '.', '.', '.', '.', '.', '.'],
+        ['.', '.', '.', '.', '.', '.', '.', '.'],
+        ['.', '.', '.', '.', '.', '.', '.', '.'],
+        ['.', '.', '.', '.', '.', '.', '.', '.']
+    ];
+    pinned.whiteToMove = true;
+    pinned.enPassant = { row: 2, col: 3 };
+    assert(pinned.isValidMove(3, 4, 2, 3) === false, 'En passant exposing the king should be illegal');
+    
+    console.log('✓ En passant passed');
+}
+
 function testMoveGeneration() {
     console.log('Testing: Move generation...');
     const game = new GBChessGame();
@@ -86,6 +183,45 @@ function testMoveGeneration() {
     game.makeMove(6, 4, 4, 4); // e4
     const blackMoves = game.generateMoves();
     assert(blackMoves.length === 20, 'Black should also have 20 legal moves');
+    assert(game.countMoves() === 20, 'countMoves should agree with generateMoves');
+    
+    // The generator must agree with isValidMove on every from/to pair
+    for (const { name, fen } of PERFT_SUITE) {
+        const position = GBChessGame.fromFEN(fen);
+        const generated = new Set(position.generateMoves().map(m => position.moveToUCI(m).slice(0, 4)));
+        const validated = new Set(bruteForceMoves(position).map(m => position.moveToUCI(m)));
+        assert(generated.size === validated.size && [...generated].every(m => validated.has(m)),
+            `${name}: generateMoves and isValidMove should agree`);
+    }
+    
+    // A pinned piece may only move along the pin
+    const pinned = GBChessGame.fromFEN('4k3/8/8/8/4r3/8/4R3/4K3 w - - 0 1');
+    const rookMoves = pinned.generateMoves().filter(m => m.fromRow === 6 && m.fromCol === 4);
+    assert(rookMoves.length === 2 && rookMoves.every(m => m.toCol === 4), 'Pinned rook should stay on the e-file');
+    
+    // Editing the board directly moves the king out from under the cached square
+    const edited = new GBChessGame();
+    edited.board[7][4] = '.';
+    edited.board[4][0] = 'K';
+    assert(edited.findKing(true).row === 4 && edited.findKing(true).col === 0, 'findKing should see a king placed by hand');
+    
+    // The board view follows the moves played and is read back after direct edits
+    const view = new GBChessGame();
+    const viewRows = [...view.board];
+    view.makeMove(6, 4, 4, 4);
+    assert(view.board[4][4] === 'P' && view.board[6][4] === '.', 'makeMove should update the board view');
+    view.undo();
+    assert(view.board[6][4] === 'P' && view.board.every((row, i) => row === viewRows[i]), 'undo should restore the board view in place');
+    view.board[6][4] = '.';
+    assert(view.toFEN().startsWith('rnbqkbnr/pppppppp/8/8/8/8/PPPP1PPP/'), 'A board edited by hand should be read back');
+    assert(view.positionKey() === GBChessGame.fromFEN(view.toFEN()).positionKey(), 'An edited board should get its own key');
+    assert(view.isValidMove(7, 5, 4, 2), 'Moves should see a board edited by hand');
+    
+    // Search plays its moves on the compact board only
+    const searched = GBChessGame.fromFEN(PERFT_SUITE[1].fen);
+    searched.getBestMove(3);
+    assert(searched.toFEN() === PERFT_SUITE[1].fen, 'Search should restore the position');
+    assert(searched.getBoardFlat() === GBChessGame.fromFEN(PERFT_SUITE[1].fen).getBoardFlat(), 'Search should leave the board view alone');
     
     console.log('✓ Move generation passed');
 }
@@ -130,10 +266,61 @@ function testGameOver() {
     
     // Simple test: normal game should not be over
     assert(game.isGameOver() === false, 'Starting position should not be game over');
+    assert(game.getGameResult() === null, 'Starting position should have no result');
     
     console.log('✓ Game over detection passed');
 }
 
+function testGameResult() {
+    console.log('Testing: Game result detection...');
+    
+    // Fool's mate
+    const mate = new GBChessGame();
+    mate.makeMove(6, 5, 5, 5); // f3
+    mate.makeMove(1, 4, 3, 4); // e5
+    mate.makeMove(6, 6, 4, 6); // g4
+    mate.makeMove(0, 3, 4, 7); // Qh4#
+    let result = mate.getGameResult();
+    assert(result.result === GBResult.CHECKMATE && result.winner === 'black', 'Fool\'s mate should be a black win');
+    assert(mate.isGameOver() === true, 'Checkmate should end the game');
+    
+    const stalemate = GBChessGame.fromFEN('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1');
+    result = stalemate.getGameResult();
+    assert(result.result === GBResult.STALEMATE && result.winner === null, 'Stalemate should be a draw');
+    
+    const fifty = GBChessGame.fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 100 80');
+    assert(fifty.getGameResult().result === GBResult.FIFTY_MOVE, 'Halfmove clock of 100 should be a draw');
+    
+    const bare = ['4k3/8/8/8/8/8/8/4K3 w - - 0 1', '4k3/8/8/8/8/8/8/4KN2 w - - 0 1', '2b1k3/8/8/8/8/8/8/4KB2 w - - 0 1'];
+    for (const fen of bare) {
+        assert(GBChessGame.fromFEN(fen).getGameResult().result === GBResult.INSUFFICIENT_MATERIAL,
+            `Should be insufficient material: ${fen}`);
+    }
+    assert(GBChessGame.fromFEN('1b2k3/8/8/8/8/8/8/4KB2 w - - 0 1').getGameResult() === null,
+        'Opposite-coloured bishops can still mate');
+    
+    const repetition = new GBChessGame();
+    const shuffle = () => {
+        repetition.makeMove(7, 6, 5, 5); // Nf3
+        repetition.makeMove(0, 6, 2, 5); // Nf6
+        repetition.makeMove(5, 5, 7, 6); // Ng1
+        repetition.makeMove(2, 5, 0, 6); // Ng8
+    };
+    shuffle();
+    assert(repetition.getGameResult() === null, 'Second occurrence should not be a draw');
+    shuffle();
+    assert(repetition.getGameResult().result === GBResult.THREEFOLD_REPETITION, 'Third occurrence should be a draw');
+    
+    // The search must not throw away a won position by stalemating
+    const winning = GBChessGame.fromFEN('7k/8/6K1/8/8/8/8/5Q2 w - - 0 1');
+    const move = winning.getBestMove(GBDifficulty.EASY);
+    winning.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+    result = winning.getGameResult();
+    assert(result && result.result === GBResult.CHECKMATE, 'AI should mate instead of stalemating');
+    
+    console.log('✓ Game result detection passed');
+}
+
 function testClone() {
     console.log('Testing: Game cloning...');
     const game = new GBChessGame();
@@ -190,6 +377,1240 @@ function testBoardString() {
     console.log('✓ Board string representation passed');
 }
 
+function testFEN() {
+    console.log('Testing: FEN import/export...');
+    const game = new GBChessGame();
+    assert(game.toFEN() === START_FEN, 'New game should export the start FEN');
+    
+    game.makeMove(6, 4, 4, 4); // e4
+    assert(game.toFEN() === 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1',
+        'FEN after e4 should include en passant square');
+    game.makeMove(0, 6, 2, 5); // Nf6
+    game.makeMove(7, 4, 6, 4); // Ke2
+    assert(game.toFEN() === 'rnbqkb1r/pppppppp/5n2/8/4P3/8/PPPPKPPP/RNBQ1BNR b kq - 2 2',
+        'FEN should track castling rights and move counters');
+    
+    const fens = [
+        START_FEN,
+        'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3',
+        '4k3/8/8/8/8/8/8/4K3 b - - 49 87'
+    ];
+    for (const fen of fens) {
+        assert(GBChessGame.fromFEN(fen).toFEN() === fen, `FEN should round-trip: ${fen}`);
+    }
+    
+    const imported = GBChessGame.fromFEN(fens[3]);
+    assert(imported.whiteToMove === true, 'Side to move should be imported');
+    assert(imported.moveCount === 4, 'Fullmove number should map to moveCount');
+    assert(imported.isValidMove(3, 4, 2, 5), 'Imported en passant square should be playable');
+    
+    const badFens = [
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP w KQkq - 0 1', /8 ranks/],
+        ['rnbqkbnr/pppppppp/9/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /rank 6/],
+        ['rnbqkbnr/ppppxppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /'x'/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1', /side to move/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KX - 0 1', /castling/],
+        ['r3k2r/8/8/8/8/8/8/4K3 w KQkq - 0 1', /castling right 'K'/],
+        ['1r2k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', /castling right 'q'/],
+        ['r3k2r/8/8/8/8/8/8/R4K1R w KQkq - 0 1', /castling right 'K'/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e4 0 1', /en passant/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e6 0 1', /en passant/],
+        ['rnbqkbnr/pppppppp/8/4p3/8/8/PPPPPPP1/RNBQKBNR w KQkq e6 0 1', /en passant/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQ1BNR w kq - 0 1', /white king/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - x 1', /halfmove/]
+    ];
+    for (const [fen, pattern] of badFens) {
+        let error = null;
+        try {
+            GBChessGame.fromFEN(fen);
+        } catch (e) {
+            error = e;
+        }
+        assert(error && pattern.test(error.message), `Bad FEN should be rejected with a descriptive error: ${fen}`);
+    }
+    
+    console.log('✓ FEN import/export passed');
+}
+
+function testSAN() {
+    console.log('Testing: SAN formatting and parsing...');
+    const san = (fen, fromRow, fromCol, toRow, toCol, promotion) =>
+        GBChessGame.fromFEN(fen).moveToSAN({ fromRow, fromCol, toRow, toCol, promotion });
+    
+    assert(san(START_FEN, 6, 4, 4, 4) === 'e4', 'Pawn push should be e4');
+    assert(san(START_FEN, 7, 6, 5, 5) === 'Nf3', 'Knight move should be Nf3');
+    assert(san('4k3/8/8/8/8/5N2/8/1N2K3 w - - 0 1', 7, 1, 6, 3) === 'Nbd2', 'Should disambiguate by file');
+    assert(san('k7/8/8/8/8/4R3/8/4R1K1 w - - 0 1', 7, 4, 6, 4) === 'R1e2', 'Should disambiguate by rank');
+    assert(san('4k3/8/8/8/8/Q7/8/Q1Q1K3 w - - 0 1', 7, 0, 6, 1) === 'Qa1b2', 'Should disambiguate by square');
+    assert(san('rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3', 3, 4, 2, 5) === 'exf6',
+        'En passant should be a pawn capture');
+    assert(san('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', 7, 4, 7, 6) === 'O-O', 'King-side castling should be O-O');
+    assert(san('r3k2r/8/8/8/8/8/8/R3K2R b KQkq - 0 1', 0, 4, 0, 2) === 'O-O-O', 'Queen-side castling should be O-O-O');
+    assert(san('8/1P6/k7/8/8/8/8/4K3 w - - 0 1', 1, 1, 0, 1, 'N') === 'b8=N+', 'Knight promotion should be b8=N+');
+    assert(san('rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2', 0, 3, 4, 7) === 'Qh4#',
+        'Mate should carry #');
+    
+    let error = null;
+    try {
+        san(START_FEN, 6, 4, 3, 4);
+    } catch (e) {
+        error = e;
+    }
+    assert(error && /Illegal/.test(error.message), 'Formatting an illegal move should throw');
+    
+    // Every legal move should survive a format/parse round trip
+    const kiwipete = GBChessGame.fromFEN('r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1');
+    for (const move of kiwipete.generateMoves()) {
+        const parsed = kiwipete.parseSAN(kiwipete.moveToSAN(move));
+        assert(parsed.fromRow === move.fromRow && parsed.fromCol === move.fromCol &&
+            parsed.toRow === move.toRow && parsed.toCol === move.toCol, `Round trip failed for ${kiwipete.moveToSAN(move)}`);
+    }
+    
+    const game = new GBChessGame();
+    const move = game.parseSAN('Nf3!');
+    assert(move.fromRow === 7 && move.fromCol === 6 && move.toRow === 5 && move.toCol === 5, 'Should parse Nf3 with annotation');
+    assert(GBChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1').parseSAN('0-0').toCol === 6, 'Should accept 0-0');
+    assert(GBChessGame.fromFEN('8/1P6/k7/8/8/8/8/4K3 w - - 0 1').parseSAN('b8N').promotion === 'N',
+        'Should accept promotion without =');
+    
+    for (const [fen, text, pattern] of [
+        [START_FEN, 'Nf4', /Illegal/],
+        ['4k3/8/8/8/8/5N2/8/1N2K3 w - - 0 1', 'Nd2', /Ambiguous/],
+        [START_FEN, 'hello', /Invalid SAN/]
+    ]) {
+        error = null;
+        try {
+            GBChessGame.fromFEN(fen).parseSAN(text);
+        } catch (e) {
+            error = e;
+        }
+        assert(error && pattern.test(error.message), `Parsing '${text}' should fail with ${pattern}`);
+    }
+    
+    console.log('✓ SAN formatting and parsing passed');
+}
+
+function testPGN() {
+    console.log('Testing: PGN import/export...');
+    
+    // Export a finished game
+    const game = new GBChessGame();
+    for (const san of ['f3', 'e5', 'g4', 'Qh4#']) {
+        const move = game.parseSAN(san);
+        game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+    }
+    const pgn = exportPGN(game, {
+        headers: { White: 'Human', Black: 'GB Chess' },
+        comments: [null, { score: -35, depth: 2 }, 'blunder', { score: -29999, depth: 1 }]
+    });
+    for (const tag of ['Event "?"', 'Site "?"', 'Date "????.??.??"', 'Round "?"', 'White "Human"', 'Black "GB Chess"', 'Result "0-1"']) {
+        assert(pgn.includes(`[${tag}]`), `PGN should carry [${tag}]`);
+    }
+    assert(pgn.includes('1. f3 e5 {-0.35/2} 2. g4 {blunder} 2... Qh4# {#-1/1} 0-1'), 'PGN movetext should include SAN and comments');
+    
+    // Import it back
+    const imported = importPGN(pgn);
+    assert(imported.game.toFEN() === game.toFEN(), 'Imported game should reach the same position');
+    assert(imported.result === '0-1', 'Result should be imported');
+    assert(imported.moves[1].comments[0] === '-0.35/2', 'Comments should be imported');
+    
+    // Non-standard start positions carry SetUp/FEN tags
+    const fromFen = GBChessGame.fromFEN('4k3/8/8/8/8/8/4P3/4K3 b - - 0 40');
+    const kingMove = fromFen.parseSAN('Kd7');
+    fromFen.makeMove(kingMove.fromRow, kingMove.fromCol, kingMove.toRow, kingMove.toCol);
+    const fenPgn = exportPGN(fromFen);
+    assert(fenPgn.includes('[SetUp "1"]') && fenPgn.includes('[FEN "4k3/8/8/8/8/8/4P3/4K3 b - - 0 40"]'), 'Should export FEN tags');
+    assert(fenPgn.includes('40... Kd7 *'), 'Black-first movetext should start with 40...');
+    assert(importPGN(fenPgn).game.toFEN() === fromFen.toFEN(), 'FEN game should round-trip');
+    
+    // Comments, NAGs and nested variations
+    const parsed = parsePGN(`[Event "Test"]
+[Result "*"]
+
+{Opening} 1. e4 $1 e5!? (1... c5 {Sicilian} 2. Nf3 (2. c3) d6) 2. Nf3 ; line comment
+Nc6 *`);
+    assert(parsed.headers.Event === 'Test', 'Headers should be parsed');
+    assert(parsed.moves.length === 4, 'Main line should have four moves');
+    assert(parsed.moves[0].commentsBefore[0] === 'Opening', 'Leading comment should be kept');
+    assert(parsed.moves[0].nags[0] === 1 && parsed.moves[1].nags[0] === 5, 'NAGs and suffix annotations should be parsed');
+    assert(parsed.moves[1].variations[0][0].san === 'c5', 'Variation should be attached to the move it replaces');
+    assert(parsed.moves[1].variations[0][1].variations[0][0].san === 'c3', 'Nested variations should be parsed');
+    assert(parsed.moves[2].comments[0] === 'line comment', 'Semicolon comments should be parsed');
+    
+    // Illegal moves are reported by ply
+    let error = null;
+    try {
+        importPGN('1. e4 e5 2. Nf3 Nf3 *');
+    } catch (e) {
+        error = e;
+    }
+    assert(error && /ply 4/.test(error.message) && /2\.\.\. Nf3/.test(error.message), 'Illegal move should be reported by ply');
+    
+    console.log('✓ PGN import/export passed');
+}
+
+function testUndoRedo() {
+    console.log('Testing: Undo/redo and history...');
+    const play = (game, san) => {
+        const move = game.parseSAN(san);
+        return game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+    };
+    
+    // Castling, en passant and promotion all have to come back exactly
+    const game = GBChessGame.fromFEN('r3k2r/6P1/8/3pP3/8/8/8/R3K2R w KQkq d6 3 20');
+    const fens = [game.toFEN()];
+    for (const san of ['exd6', 'O-O-O', 'gxh8=N', 'Rxd6', 'O-O']) {
+        assert(play(game, san), `${san} should be legal`);
+        fens.push(game.toFEN());
+    }
+    
+    const history = game.history();
+    assert(history.map(m => m.san).join(' ') === 'exd6 O-O-O gxh8=N Rxd6 O-O', 'History should list SAN in order');
+    assert(history[0].captured === 'p' && history[2].promotion === 'N', 'History should record captures and promotions');
+    
+    for (let ply = fens.length - 1; ply > 0; ply--) {
+        assert(game.positionAt(ply).toFEN() === fens[ply], `positionAt(${ply}) should match`);
+        const undone = game.undo();
+        assert(undone && undone.san === history[ply - 1].san, 'Undo should return the move taken back');
+        assert(game.toFEN() === fens[ply - 1], `Undo should restore ply ${ply - 1}`);
+    }
+    assert(game.undo() === null, 'Nothing left to undo');
+    assert(game.positionHistory.length === 1, 'Repetition history should shrink with undo');
+    
+    for (let ply = 1; ply < fens.length; ply++) {
+        assert(game.redo() !== null, 'Redo should replay a move');
+        assert(game.toFEN() === fens[ply], `Redo should restore ply ${ply}`);
+    }
+    assert(game.redo() === null, 'Nothing left to redo');
+    
+    // A new move discards the redo stack
+    game.undo();
+    assert(play(game, 'Kf1'), 'Kf1 should be legal');
+    assert(game.redo() === null, 'New move should clear redo');
+    
+    let error = null;
+    try {
+        game.positionAt(99);
+    } catch (e) {
+        error = e;
+    }
+    assert(error instanceof RangeError, 'positionAt outside the game should throw RangeError');
+    
+    console.log('✓ Undo/redo and history passed');
+}
+
+async function testUCI() {
+    console.log('Testing: UCI front end...');
+    let output = [];
+    const engine = new UCIEngine({ write: line => output.push(line) });
+    
+    engine.handle('uci');
+    assert(output[0].startsWith('id name'), 'uci should identify the engine');
+    assert(output.some(line => line.startsWith('option name Difficulty type combo')), 'Difficulty should be a UCI option');
+    assert(output.some(line => line.startsWith('option name Hash type spin')), 'Hash should be a UCI option');
+    assert(output[output.length - 1] === 'uciok', 'uci should end with uciok');
+    
+    output = [];
+    engine.handle('isready');
+    assert(output[0] === 'readyok', 'isready should answer readyok');
+    
+    // Mate in one from a FEN with moves applied
+    output = [];
+    engine.handle('ucinewgame');
+    engine.handle('position fen 7k/8/6K1/8/8/8/8/Q7 w - - 0 1 moves a1f1 h8g8 f1b1 g8h8');
+    assert(engine.game.toFEN() === '7k/8/6K1/8/8/8/8/1Q6 w - - 4 3', 'position should apply the moves');
+    engine.handle('go depth 2');
+    await engine.search;
+    let infos = output.filter(line => line.startsWith('info depth'));
+    assert(/score mate 1 nodes \d+ .* pv [a-h][1-8][a-h][1-8]/.test(infos[infos.length - 1]), 'info should carry mate score, nodes and pv');
+    assert(output[output.length - 1] === 'bestmove b1b8', 'Should play the mate');
+    
+    // Without a mate to stop on, every depth is reported
+    output = [];
+    engine.handle('position startpos');
+    engine.handle('go depth 2');
+    await engine.search;
+    infos = output.filter(line => line.startsWith('info depth'));
+    assert(infos.length === 2, 'Should report one info line per depth');
+    assert(/score cp -?\d+ nodes/.test(infos[1]), 'info should carry a centipawn score');
+    
+    // Difficulty caps the depth of a bare go
+    output = [];
+    engine.handle('setoption name Difficulty value Beginner');
+    engine.handle('position startpos moves e2e4');
+    engine.handle('go');
+    await engine.search;
+    assert(output.filter(line => line.startsWith('info depth')).length === 1, 'Beginner should stop at depth 1');
+    const best = output[output.length - 1].split(' ')[1];
+    engine.game.parseUCI(best);
+    
+    // A time limit is searched out whatever the Difficulty
+    output = [];
+    engine.handle('go movetime 300');
+    await engine.search;
+    assert(output.some(line => line.startsWith('info depth 2 ')), 'go movetime should search past the Difficulty depth');
+    assert(output[output.length - 1].startsWith('bestmove'), 'go movetime should end with a bestmove');
+    
+    // Node budget
+    output = [];
+    engine.handle('setoption name Difficulty value Expert');
+    engine.handle('go nodes 400');
+    await engine.search;
+    const reported = output.filter(line => line.startsWith('info depth')).map(line => Number(/nodes (\d+)/.exec(line)[1]));
+    assert(reported.every(n => n <= 400) && output[output.length - 1].startsWith('bestmove'), 'go nodes should respect the budget');
+    
+    // Infinite search waits for stop
+    output = [];
+    engine.handle('go infinite');
+    engine.handle('stop');
+    await engine.search;
+    assert(output[output.length - 1].startsWith('bestmove'), 'stop should produce a bestmove');
+    
+    // One search for all depths: node counts keep growing, and stop answers
+    // without waiting for the depth in progress
+    output = [];
+    engine.handle('position startpos moves e2e4 e7e5');
+    engine.handle('go depth 30');
+    while (!output.some(line => line.startsWith('info depth 2 '))) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    const stopStart = Date.now();
+    engine.handle('stop');
+    await engine.search;
+    assert(Date.now() - stopStart < 100, 'stop should answer bestmove at once');
+    const counts = output.filter(line => line.startsWith('info depth')).map(line => Number(/nodes (\d+)/.exec(line)[1]));
+    assert(counts[1] > counts[0], 'Node counts should add up across depths');
+    assert(/^bestmove [a-h][1-8][a-h][1-8]$/.test(output[output.length - 1]), 'stop should play the best move so far');
+    
+    // Hash size goes to the search's table
+    output = [];
+    engine.handle('setoption name Hash value 1');
+    engine.handle('position startpos');
+    assert(engine._searchOptions().hashSize === 1, 'Hash should size the search table');
+    engine.handle('setoption name Hash value 0');
+    assert(output.length === 1 && /Hash must be/.test(output[0]), 'Out-of-range Hash should be reported');
+    engine.handle('setoption name Clear Hash');
+    
+    // Quiescence can be switched off for the authentic fixed-depth search
+    engine.handle('setoption name Quiescence value false');
+    engine.handle('position startpos');
+    assert(engine.game.options.quiescence === false, 'Quiescence option should reach new games');
+    engine.handle('setoption name Quiescence value true');
+    assert(engine.game.options.quiescence === true, 'Quiescence option should apply to the current game');
+    engine.handle('setoption name Endgame value false');
+    assert(engine.game.options.endgame === false, 'Endgame option should apply to the current game');
+    engine.handle('setoption name Endgame value true');
+    
+    output = [];
+    engine.handle('position startpos moves e2e5');
+    assert(output[0].startsWith('info string') && /Illegal/.test(output[0]), 'Illegal moves should be reported');
+    
+    // quit shuts the search worker down, so Node can exit
+    engine.handle('quit');
+    assert(!engine.host._worker, 'quit should shut the worker down');
+    
+    console.log('✓ UCI front end passed');
+}
+
+// Standard perft positions with published leaf counts per depth
+// (https://www.chessprogramming.org/Perft_Results)
+const PERFT_SUITE = [
+    { name: 'Start position', fen: START_FEN, counts: [20, 400, 8902, 197281] },
+    { name: 'Kiwipete', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', counts: [48, 2039, 97862] },
+    { name: 'Position 3 (en passant, rook endgame)', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', counts: [14, 191, 2812, 43238, 674624] },
+    { name: 'Position 4 (promotions, castling)', fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1', counts: [6, 264, 9467, 422333] },
+    { name: 'Position 5 (underpromotion)', fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8', counts: [44, 1486, 62379] },
+    { name: 'Position 6', fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10', counts: [46, 2079, 89890] }
+];
+
+function testPerft() {
+    console.log('Testing: Perft...');
+    
+    for (const { name, fen, counts } of PERFT_SUITE) {
+        const game = GBChessGame.fromFEN(fen);
+        counts.forEach((expected, i) => {
+            const nodes = game.perft(i + 1);
+            assert(nodes === expected, `${name} perft(${i + 1}) should be ${expected}, got ${nodes}`);
+        });
+        assert(game.toFEN() === fen, `${name} should be restored after perft`);
+        assert(referencePerft(game.board, game.whiteToMove, game.castlingRights, game.enPassant, 2) === counts[1],
+            `${name}: the 8x8 reference perft should agree`);
+    }
+    
+    const divide = new GBChessGame().divide(2);
+    assert(Object.keys(divide).length === 20, 'divide should list every root move');
+    assert(divide.e2e4 === 20 && divide.g1f3 === 20, 'Each root move should have 20 replies');
+    assert(Object.values(divide).reduce((a, b) => a + b, 0) === 400, 'divide should sum to perft');
+    
+    // Losing a rook on its home square costs the castling right
+    const rookCapture = GBChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    rookCapture.makeMove(7, 7, 0, 7); // Rxh8+
+    assert(rookCapture.toFEN().split(' ')[2] === 'Qq', 'Capturing on h8 should remove both king-side rights');
+    
+    console.log('✓ Perft passed');
+}
+
+/**
+ * Legal moves found the slow way, by asking isValidMove about every from/to
+ * pair (how the generator used to work); the benchmark baseline
+ */
+function bruteForceMoves(game) {
+    const moves = [];
+    for (let fromR = 0; fromR < 8; fromR++) {
+        for (let fromC = 0; fromC < 8; fromC++) {
+            for (let toR = 0; toR < 8; toR++) {
+                for (let toC = 0; toC < 8; toC++) {
+                    if (game.isValidMove(fromR, fromC, toR, toC)) {
+                        moves.push({ fromRow: fromR, fromCol: fromC, toRow: toR, toCol: toC });
+                    }
+                }
+            }
+        }
+    }
+    return moves;
+}
+
+// The board before the 0x88 one: 8x8 rows of characters, copied for every move
+const REFERENCE_KNIGHT = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const REFERENCE_KING = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+const REFERENCE_ROOK = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const REFERENCE_BISHOP = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+const REFERENCE_QUEEN = [...REFERENCE_ROOK, ...REFERENCE_BISHOP];
+const REFERENCE_KIND = { P: 'P', N: 'N', B: 'B', R: 'R', Q: 'Q', K: 'K', p: 'P', n: 'N', b: 'B', r: 'R', q: 'Q', k: 'K' };
+const REFERENCE_WHITE = [...'PNBRQK'];
+const REFERENCE_BLACK = [...'pnbrqk'];
+
+function referenceAttacked(rows, r, c, byWhite) {
+    const pieces = byWhite ? REFERENCE_WHITE : REFERENCE_BLACK;
+    const pawn = pieces[0], knight = pieces[1], bishop = pieces[2], rook = pieces[3], queen = pieces[4], king = pieces[5];
+    const pawnRow = byWhite ? r + 1 : r - 1;
+    if (pawnRow >= 0 && pawnRow < 8 &&
+        ((c > 0 && rows[pawnRow][c - 1] === pawn) || (c < 7 && rows[pawnRow][c + 1] === pawn))) return true;
+    for (const [dr, dc] of REFERENCE_KNIGHT) {
+        const nr = r + dr, nc = c + dc;
+        if (nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && rows[nr][nc] === knight) return true;
+    }
+    for (const [dr, dc] of REFERENCE_KING) {
+        const nr = r + dr, nc = c + dc;
+        if (nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && rows[nr][nc] === king) return true;
+    }
+    for (const [dr, dc] of REFERENCE_QUEEN) {
+        const slider = dr === 0 || dc === 0 ? rook : bishop;
+        let nr = r + dr, nc = c + dc;
+        while (nr >= 0 && nr < 8 && nc >= 0 && nc < 8) {
+            const piece = rows[nr][nc];
+            if (piece !== '.') {
+                if (piece === slider || piece === queen) return true;
+                break;
+            }
+            nr += dr;
+            nc += dc;
+        }
+    }
+    return false;
+}
+
+/**
+ * Perft on 8x8 rows of characters, as the engine searched before the 0x88
+ * board: moves are tried on the rows in place and the rows are copied for
+ * every move searched deeper. The benchmark's "before", and a second opinion
+ * on the perft counts
+ */
+function referencePerft(rows, white, rights, enPassant, depth) {
+    const isOwn = piece => piece !== '.' && (piece < 'a') === white;
+    // Moves as from square, to square and promotion, three entries each
+    const moves = [];
+    let kingR = -1, kingC = -1;
+
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            const piece = rows[r][c];
+            if (!isOwn(piece)) continue;
+            const upper = REFERENCE_KIND[piece];
+
+            if (upper === 'P') {
+                const dir = white ? -1 : 1;
+                const promotes = r + dir === (white ? 0 : 7);
+                const pawnTo = nc => {
+                    const to = (r + dir) * 8 + nc;
+                    if (promotes) moves.push(r * 8 + c, to, 'Q', r * 8 + c, to, 'R', r * 8 + c, to, 'B', r * 8 + c, to, 'N');
+                    else moves.push(r * 8 + c, to, null);
+                };
+                if (rows[r + dir][c] === '.') {
+                    pawnTo(c);
+                    if (r === (white ? 6 : 1) && rows[r + 2 * dir][c] === '.') moves.push(r * 8 + c, (r + 2 * dir) * 8 + c, null);
+                }
+                for (let nc = c - 1; nc <= c + 1; nc += 2) {
+                    if (nc < 0 || nc > 7) continue;
+                    const victim = rows[r + dir][nc];
+                    if (victim !== '.' && !isOwn(victim)) pawnTo(nc);
+                    else if (enPassant && enPassant.row === r + dir && enPassant.col === nc) moves.push(r * 8 + c, (r + dir) * 8 + nc, null);
+                }
+                continue;
+            }
+
+            const slides = upper !== 'N' && upper !== 'K';
+            const directions = upper === 'N' ? REFERENCE_KNIGHT : upper === 'K' ? REFERENCE_KING
+                : upper === 'R' ? REFERENCE_ROOK : upper === 'B' ? REFERENCE_BISHOP : REFERENCE_QUEEN;
+            for (const [dr, dc] of directions) {
+                let nr = r + dr, nc = c + dc;
+                while (nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && !isOwn(rows[nr][nc])) {
+                    moves.push(r * 8 + c, nr * 8 + nc, null);
+                    if (!slides || rows[nr][nc] !== '.') break;
+                    nr += dr;
+                    nc += dc;
+                }
+            }
+
+            if (upper === 'K') {
+                kingR = r;
+                kingC = c;
+                const home = white ? 7 : 0;
+                const kingSide = white ? rights.whiteKingSide : rights.blackKingSide;
+                const queenSide = white ? rights.whiteQueenSide : rights.blackQueenSide;
+                if (r === home && c === 4 && (kingSide || queenSide) && !referenceAttacked(rows, r, c, !white)) {
+                    if (kingSide && rows[r][5] === '.' && rows[r][6] === '.' &&
+                        !referenceAttacked(rows, r, 5, !white)) moves.push(r * 8 + c, r * 8 + 6, null);
+                    if (queenSide && rows[r][3] === '.' && rows[r][2] === '.' && rows[r][1] === '.' &&
+                        !referenceAttacked(rows, r, 3, !white)) moves.push(r * 8 + c, r * 8 + 2, null);
+                }
+            }
+        }
+    }
+
+    // Only moves that could expose the king are tried for check: king moves,
+    // en passant, replies to check and pieces in line with the king
+    const inCheck = referenceAttacked(rows, kingR, kingC, !white);
+
+    let nodes = 0;
+    for (let i = 0; i < moves.length; i += 3) {
+        const fromR = moves[i] >> 3, fromC = moves[i] & 7;
+        const toR = moves[i + 1] >> 3, toC = moves[i + 1] & 7;
+        const promotion = moves[i + 2];
+        const piece = rows[fromR][fromC];
+        const captured = rows[toR][toC];
+        const upper = REFERENCE_KIND[piece];
+        const passant = upper === 'P' && fromC !== toC && captured === '.';
+        const aligned = fromR === kingR || fromC === kingC ||
+            Math.abs(fromR - kingR) === Math.abs(fromC - kingC);
+        if (depth === 1 && !inCheck && !passant && upper !== 'K' && !aligned) {
+            nodes++;
+            continue;
+        }
+
+        // Try the move on the rows, then put them back
+        const castles = upper === 'K' && Math.abs(toC - fromC) === 2;
+        const rookFrom = toC === 6 ? 7 : 0, rookTo = toC === 6 ? 5 : 3;
+        if (passant) rows[fromR][toC] = '.';
+        rows[toR][toC] = promotion ? (white ? promotion : promotion.toLowerCase()) : piece;
+        rows[fromR][fromC] = '.';
+        if (castles) {
+            rows[fromR][rookTo] = rows[fromR][rookFrom];
+            rows[fromR][rookFrom] = '.';
+        }
+
+        const onKing = upper === 'K';
+        const legal = !referenceAttacked(rows, onKing ? toR : kingR, onKing ? toC : kingC, !white);
+        const next = legal && depth > 1 ? rows.map(row => [...row]) : null;
+
+        if (castles) {
+            rows[fromR][rookFrom] = rows[fromR][rookTo];
+            rows[fromR][rookTo] = '.';
+        }
+        rows[fromR][fromC] = piece;
+        rows[toR][toC] = captured;
+        if (passant) rows[fromR][toC] = white ? 'p' : 'P';
+
+        if (!legal) continue;
+        if (!next) {
+            nodes++;
+            continue;
+        }
+
+        // Moving from or capturing on a king or rook home square costs the right
+        const nextRights = { ...rights };
+        for (const [r, c] of [[fromR, fromC], [toR, toC]]) {
+            if (r === 7 && (c === 4 || c === 7)) nextRights.whiteKingSide = false;
+            if (r === 7 && (c === 4 || c === 0)) nextRights.whiteQueenSide = false;
+            if (r === 0 && (c === 4 || c === 7)) nextRights.blackKingSide = false;
+            if (r === 0 && (c === 4 || c === 0)) nextRights.blackQueenSide = false;
+        }
+        const nextEnPassant = upper === 'P' && Math.abs(toR - fromR) === 2
+            ? { row: (fromR + toR) / 2, col: fromC } : null;
+        nodes += referencePerft(next, !white, nextRights, nextEnPassant, depth - 1);
+    }
+    return nodes;
+}
+
+// Move generation benchmark: generator vs isValidMove scan
+function benchmarkMoveGeneration() {
+    console.log('\n📊 Move Generation Benchmark:');
+    console.log('=' .repeat(50));
+    
+    const positions = PERFT_SUITE.map(({ fen }) => GBChessGame.fromFEN(fen));
+    const rounds = 200;
+    
+    const measure = generate => {
+        let count = 0;
+        const startTime = performance.now();
+        for (let i = 0; i < rounds; i++) {
+            for (const position of positions) count += generate(position).length;
+        }
+        const time = performance.now() - startTime;
+        return { time, perSecond: Math.round(rounds * positions.length / time * 1000) };
+    };
+    
+    const slow = measure(bruteForceMoves);
+    const fast = measure(position => position.generateMoves());
+    console.log(`isValidMove scan: ${slow.perSecond} positions/s`);
+    console.log(`generateMoves:    ${fast.perSecond} positions/s (${(fast.perSecond / slow.perSecond).toFixed(1)}x)`);
+    
+    // Kiwipete perft(4) on the old 8x8 rows and on the 0x88 board
+    const kiwipete = GBChessGame.fromFEN(PERFT_SUITE[1].fen);
+    const perftRate = perft => {
+        const startTime = performance.now();
+        const nodes = perft();
+        const time = performance.now() - startTime;
+        return { nodes, time, perSecond: Math.round(nodes / time * 1000) };
+    };
+    const before = perftRate(() => referencePerft(kiwipete.board, kiwipete.whiteToMove,
+        kiwipete.castlingRights, kiwipete.enPassant, 4));
+    const after = perftRate(() => kiwipete.perft(4));
+    console.log(`Kiwipete perft(4), 8x8 rows:   ${before.nodes} nodes in ${before.time.toFixed(0)}ms (${before.perSecond} nodes/s)`);
+    console.log(`Kiwipete perft(4), 0x88 board: ${after.nodes} nodes in ${after.time.toFixed(0)}ms (${after.perSecond} nodes/s, ${(after.perSecond / before.perSecond).toFixed(1)}x)`);
+    
+    console.log('=' .repeat(50));
+}
+
+function testMakeUnmake() {
+    console.log('Testing: Make/unmake...');
+    
+    // Every move (castling, en passant, promotions, rook captures) must unmake exactly
+    for (const { name, fen } of PERFT_SUITE) {
+        const game = GBChessGame.fromFEN(fen);
+        const rows = [...game.board];
+        for (const move of game.generateMoves()) {
+            game._makeMoveMinimax(move);
+            game._unmakeMove();
+            assert(game.toFEN() === fen, `${name}: ${game.moveToUCI(move)} should unmake to the same position`);
+        }
+        assert(game.board.every((row, i) => row === rows[i]), `${name}: make/unmake should work in place`);
+    }
+    
+    // Search leaves the position untouched
+    const game = GBChessGame.fromFEN(PERFT_SUITE[1].fen);
+    game.getBestMove(3);
+    assert(game.toFEN() === PERFT_SUITE[1].fen, 'Search should restore the position');
+    assert(game._unmakeCount === 0, 'Search should unwind every move it made');
+    
+    console.log('✓ Make/unmake passed');
+}
+
+function testTranspositionTable() {
+    console.log('Testing: Zobrist keys and transposition table...');
+    
+    // Transpositions share a key; side to move and castling rights do not
+    const play = (...moves) => {
+        const game = new GBChessGame();
+        for (const san of moves) {
+            const move = game.parseSAN(san);
+            game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol);
+        }
+        return game;
+    };
+    assert(play('Nf3', 'Nf6', 'Nc3').positionKey() === play('Nc3', 'Nf6', 'Nf3').positionKey(), 'Transposed move orders should share a key');
+    assert(play('Nf3', 'Nf6', 'Ng1', 'Ng8').positionKey() === new GBChessGame().positionKey(), 'Returning to the start should restore the key');
+    assert(play('Nf3').positionKey() !== play('Nf3', 'Nf6', 'Ng1').positionKey(), 'Side to move should change the key');
+    assert(GBChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1').positionKey() !==
+        GBChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w Kkq - 0 1').positionKey(), 'Castling rights should change the key');
+    assert(play('e4').positionKey() === GBChessGame.fromFEN('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1').positionKey(),
+        'An en passant square no pawn can use should not change the key');
+    
+    // The key kept by the move code matches one computed from scratch
+    for (const { name, fen } of PERFT_SUITE) {
+        const game = GBChessGame.fromFEN(fen);
+        game._computeHash();
+        for (const move of game.generateMoves()) {
+            game._makeMoveMinimax(move);
+            for (const reply of game.generateMoves()) {
+                game._makeMoveMinimax(reply);
+                const { _hashLo: lo, _hashHi: hi } = game;
+                game._computeHash();
+                assert(lo === game._hashLo && hi === game._hashHi, `${name}: incremental key should match after ${game.moveToUCI(move)} ${game.moveToUCI(reply)}`);
+                game._unmakeMove();
+            }
+            game._unmakeMove();
+        }
+    }
+    
+    // The table changes how much is searched, never the result
+    const fen = PERFT_SUITE[1].fen;
+    const plain = GBChessGame.fromFEN(fen, { hashSize: 0 }).getBestMove(3);
+    const game = GBChessGame.fromFEN(fen, { hashSize: 1 });
+    const first = game.getBestMove(3);
+    const firstNodes = game.nodes;
+    assert(game.hashTable && game.hashTable.size === 1, 'hashSize should size the table');
+    assert(first.score === plain.score, 'Search with and without the table should agree');
+    const again = game.getBestMove(3);
+    assert(again.score === first.score && game.nodes < firstNodes / 2, 'A repeated search should reuse the table');
+    game.clearHash();
+    game.getBestMove(3);
+    assert(game.nodes === firstNodes, 'clearHash should forget stored results');
+    
+    // Games can share one table
+    const shared = GBChessGame.fromFEN(fen, { hashTable: game.hashTable });
+    shared.getBestMove(3);
+    assert(shared.nodes < firstNodes / 2 && shared.clone().hashTable === game.hashTable, 'A shared table should carry results between games');
+    
+    // Repeating a position is a draw, in the search and against the game history
+    const perpetual = GBChessGame.fromFEN('6k1/6p1/8/8/8/rrr5/5PPP/4Q1K1 w - - 0 1');
+    const check = perpetual.getBestMove(5);
+    assert(perpetual.moveToSAN(check) === 'Qe8+' && check.score === 0, `Queen checks should hold the draw, got ${check.score}`);
+    ['e1e8', 'g8h7', 'e8h5', 'h7g8'].forEach(text => {
+        const move = perpetual.parseUCI(text);
+        perpetual.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol);
+    });
+    const repeated = perpetual.getBestMove(2);
+    assert(perpetual.moveToSAN(repeated) === 'Qe8+' && repeated.score === 0, `Repeating the game should be seen as a draw, got ${repeated.score}`);
+    assert(perpetual.clone().getBestMove(2).score === 0, 'Clones should keep the game history');
+    perpetual.undo();
+    perpetual.undo();
+    assert(perpetual._historyLo.length === perpetual.positionHistory.length, 'Undo should shrink the history keys');
+    
+    console.log('✓ Zobrist keys and transposition table passed');
+}
+
+function testIterativeDeepening() {
+    console.log('Testing: Iterative deepening...');
+    const fen = PERFT_SUITE[5].fen;
+    
+    // One report per depth, ending with the returned move
+    const infos = [];
+    const game = GBChessGame.fromFEN(fen);
+    const move = game.getBestMove({ maxDepth: 3, onInfo: info => infos.push(info) });
+    assert(infos.map(info => info.depth).join() === '1,2,3', 'onInfo should be called after every depth');
+    const last = infos[2];
+    assert(last.score === move.score && last.nodes === game.nodes && last.timeMs >= 0, 'The last report should match the result');
+    assert(last.pv.length === 3 && game.moveToUCI(last.pv[0]) === game.moveToUCI(move), 'The PV should start with the best move');
+    assert(GBChessGame.fromFEN(fen).getBestMove(3).score === move.score, 'A plain depth should search the same');
+    
+    // Time and node budgets stop mid-iteration and keep the last completed depth
+    const timed = GBChessGame.fromFEN(fen);
+    const started = performance.now();
+    const timedMove = timed.getBestMove({ timeMs: 150 });
+    assert(performance.now() - started < 1000, 'A 150ms search should stop on time');
+    assert(timed.parseUCI(timed.moveToUCI(timedMove)) && timed.toFEN() === fen, 'A stopped search should leave the position as it was');
+    
+    const limited = GBChessGame.fromFEN(fen);
+    limited.getBestMove({ nodes: 500 });
+    assert(limited.nodes <= 500, `Node budget should hold, searched ${limited.nodes}`);
+    
+    // Aborting still returns the move from the last completed depth
+    const controller = new AbortController();
+    const depths = [];
+    const aborted = GBChessGame.fromFEN(fen).getBestMove({
+        maxDepth: 5,
+        signal: controller.signal,
+        onInfo: info => {
+            depths.push(info.depth);
+            if (info.depth === 2) controller.abort();
+        }
+    });
+    assert(aborted && depths.join() === '1,2', 'Abort should end the search after the current depth');
+    
+    // A found mate ends the search; quiescence already sees a mate in one at
+    // depth 1, the fixed-depth search only at depth 2
+    const mateFEN = '6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1';
+    const mateDepths = [];
+    GBChessGame.fromFEN(mateFEN).getBestMove({ maxDepth: 5, onInfo: info => mateDepths.push(info.depth) });
+    assert(mateDepths.length === 1, 'Search should stop once a mate is found');
+    mateDepths.length = 0;
+    GBChessGame.fromFEN(mateFEN, { quiescence: false }).getBestMove({ maxDepth: 5, onInfo: info => mateDepths.push(info.depth) });
+    assert(mateDepths.length === 2, 'Fixed-depth search should stop once a mate is found');
+    
+    console.log('✓ Iterative deepening passed');
+}
+
+function testQuiescence() {
+    console.log('Testing: Quiescence search...');
+    
+    // Qxe5 wins a pawn at depth 1 but drops the queen to dxe5 a ply later
+    const fen = '6k1/8/3p4/4p3/8/8/7Q/6K1 w - - 0 1';
+    const authentic = GBChessGame.fromFEN(fen, { quiescence: false });
+    const greedy = authentic.getBestMove(1);
+    assert(authentic.moveToUCI(greedy) === 'h2e5', 'Fixed-depth search should fall for the defended pawn');
+    authentic.makeMove(greedy.fromRow, greedy.fromCol, greedy.toRow, greedy.toCol);
+    assert(authentic.evaluate() === greedy.score, 'Fixed-depth search should score the position the horizon leaves');
+    
+    const game = GBChessGame.fromFEN(fen);
+    const move = game.getBestMove(1);
+    assert(game.moveToUCI(move) !== 'h2e5', 'Quiescence should see the recapture');
+    assert(move.score < greedy.score, 'Quiescence should not count the pawn as won');
+    assert(game.toFEN() === fen, 'Quiescence should leave the position as it was');
+    
+    // Captures are judged by playing out the exchange, x-rays included
+    const exchange = (fen, text) => {
+        const position = GBChessGame.fromFEN(fen);
+        const result = position._staticExchange(position.parseUCI(text));
+        assert(position.toFEN() === fen, 'Exchange evaluation should leave the board as it was');
+        return result;
+    };
+    assert(exchange(fen, 'h2e5') === -800, 'Qxe5 should lose the queen for a pawn');
+    assert(exchange('1k1r4/1pp4p/p7/4p3/8/P5P1/1PP4P/2K1R3 w - - 0 1', 'e1e5') === 100, 'An undefended pawn is won');
+    assert(exchange('1k1r3q/1ppn3p/p4b2/4p3/8/P2N2P1/1PP1R1BP/2K1Q3 w - - 0 1', 'd3e5') === 100 - 320,
+        'Nxe5 should lose the knight once both sides\' batteries join in');
+    assert(exchange('3qk3/8/8/3r4/8/8/3Q4/3RK3 w - - 0 1', 'd2d5') === 500, 'A rook defended once but attacked twice is won');
+    assert(exchange('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1', 'e5d6') === 100, 'En passant wins the pawn');
+    
+    // Resolving captures can only change a depth-limited search, not its legality
+    const kiwipete = PERFT_SUITE[1].fen;
+    const tactical = GBChessGame.fromFEN(kiwipete);
+    const reply = tactical.getBestMove(2);
+    assert(tactical.parseUCI(tactical.moveToUCI(reply)) && tactical.toFEN() === kiwipete, 'A tactical search should return a legal move');
+    
+    console.log('✓ Quiescence search passed');
+}
+
+function testMateScoring() {
+    console.log('Testing: Mate-distance scoring...');
+    
+    assert(JSON.stringify(describeScore(54)) === '{"type":"cp","value":54}', 'Ordinary scores are centipawns');
+    assert(JSON.stringify(describeScore(-29997)) === '{"type":"mate","moves":-2}', 'Black mating in 2 should be negative');
+    
+    // Mate in 1 and mate in 2 score differently
+    const mateInOne = GBChessGame.fromFEN('6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1').getBestMove(3);
+    assert(mateInOne.score === 29999 && describeScore(mateInOne.score).moves === 1, 'Rd8# should be mate in 1');
+    
+    // Rook roller: Ra7 (or Rb7) then mate on the back rank
+    const game = GBChessGame.fromFEN('7k/8/8/8/8/8/8/RR4K1 w - - 0 1');
+    const move = game.getBestMove(5);
+    assert(describeScore(move.score).moves === 2, `Should find mate in 2, got ${move.score}`);
+    
+    // The same table seen one move later: stored mates must count from the new root
+    game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol);
+    const defence = game.getBestMove(4);
+    assert(defence.score === 29998 && describeScore(defence.score).moves === 1, `Black should be mated in 1, got ${defence.score}`);
+    
+    console.log('✓ Mate-distance scoring passed');
+}
+
+function testEvaluateDetailed() {
+    console.log('Testing: Evaluation breakdown...');
+    
+    const terms = ['material', 'position', 'kingSafety', 'pawnStructure', 'mobility', 'strategic'];
+    const start = new GBChessGame().evaluateDetailed();
+    assert(Object.keys(start.terms).join() === terms.join(), 'Breakdown should list all five components (material and position apart)');
+    for (const name of terms) {
+        assert(start.terms[name].white === start.terms[name].black, `Start position should be even in ${name}`);
+    }
+    assert(start.total === 0 && start.terms.material.white === 4000, 'Start position material should be 4000 a side');
+    
+    // Totals agree with evaluate()
+    for (const { fen } of PERFT_SUITE) {
+        const game = GBChessGame.fromFEN(fen);
+        const detail = game.evaluateDetailed();
+        const sum = terms.reduce((total, name) => total + detail.terms[name].white - detail.terms[name].black, 0);
+        assert(detail.total === game.evaluate() && sum === detail.total && detail.white - detail.black === detail.total,
+            `Breakdown should add up to evaluate() for ${fen}`);
+    }
+    
+    // Component 5: centre control. The queen sees d4 and d5, the black king nothing
+    const queen = GBChessGame.fromFEN('4k3/8/8/8/8/8/8/3QK3 w - - 0 1').evaluateDetailed();
+    assert(queen.terms.strategic.white === 20 && queen.terms.strategic.black === 0, 'Strategic bonus should count attacked centre squares');
+    assert(queen.terms.material.white === 900 && queen.terms.material.black === 0, 'Material should leave the kings out');
+    
+    console.log('✓ Evaluation breakdown passed');
+}
+
+function testPersonalities() {
+    console.log('Testing: Personalities and evaluation weights...');
+    
+    const authentic = GBChessGame.fromFEN(RUY_LOPEZ_FEN).evaluateDetailed();
+    const explicit = GBChessGame.fromFEN(RUY_LOPEZ_FEN, { personality: GBPersonality.AUTHENTIC }).evaluateDetailed();
+    assert(JSON.stringify(explicit) === JSON.stringify(authentic), 'Authentic should be the default personality');
+    
+    for (const personality of Object.values(GBPersonality)) {
+        if (personality === GBPersonality.AUTHENTIC) continue;
+        const game = GBChessGame.fromFEN(RUY_LOPEZ_FEN, { personality });
+        assert(JSON.stringify(game.evaluateDetailed().terms) !== JSON.stringify(authentic.terms),
+            `${personality} should weigh the position differently`);
+        assert(game.getBestMove(2) !== null, `${personality} should still find a move`);
+    }
+    
+    // Individual weights override the personality's
+    const noMobility = GBChessGame.fromFEN(RUY_LOPEZ_FEN, { weights: { mobility: 0 } }).evaluateDetailed();
+    assert(noMobility.terms.mobility.white === 0 && noMobility.terms.mobility.black === 0, 'Zero weight should switch a term off');
+    assert(noMobility.terms.material.white === authentic.terms.material.white, 'Other weights should be untouched');
+    const queen = GBChessGame.fromFEN('4k3/8/8/8/8/8/8/3QK3 w - - 0 1', { weights: { pieceValues: { Q: 1000 } } });
+    assert(queen.evaluateDetailed().terms.material.white === 1000, 'Piece values should be overridable one at a time');
+    
+    // Changing the option later takes effect on the next evaluation
+    const game = GBChessGame.fromFEN(RUY_LOPEZ_FEN);
+    game.options.personality = GBPersonality.DEFENSIVE;
+    const defensive = GBChessGame.fromFEN(RUY_LOPEZ_FEN, { personality: GBPersonality.DEFENSIVE });
+    assert(game.evaluate() === defensive.evaluate(), 'Switching personality should change the evaluation');
+    
+    let threw = false;
+    try {
+        new GBChessGame({ personality: 'reckless' });
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'Unknown personality should throw');
+    
+    // Selectable over UCI
+    const output = [];
+    const engine = new UCIEngine({ write: line => output.push(line) });
+    engine.handle('uci');
+    assert(output.some(line => line.startsWith('option name Personality type combo default Authentic') &&
+        line.includes('var Aggressive')), 'UCI should offer the Personality option');
+    engine.handle('setoption name Personality value aggressive');
+    engine.handle('position fen ' + RUY_LOPEZ_FEN);
+    assert(engine.game.options.personality === GBPersonality.AGGRESSIVE, 'setoption should select the personality');
+    engine.handle('setoption name Personality value Reckless');
+    assert(output[output.length - 1] === "info string unknown Personality 'Reckless'", 'Unknown personality should be reported');
+    assert(engine.options.Personality === 'Aggressive', 'A bad value should leave the setting alone');
+    
+    console.log('✓ Personalities and evaluation weights passed');
+}
+
+function testEnhancedEvaluator() {
+    console.log('Testing: Enhanced evaluator...');
+    
+    const enhanced = fen => GBChessGame.fromFEN(fen, { evaluator: GBEvaluator.ENHANCED }).evaluateDetailed();
+    
+    // Both breakdowns side by side, each agreeing with evaluate() under its evaluator
+    for (const { fen } of PERFT_SUITE) {
+        const comparison = GBChessGame.fromFEN(fen).compareEvaluators();
+        assert(Object.keys(comparison).join() === 'authentic,enhanced', 'Comparison should hold both evaluators');
+        for (const evaluator of Object.values(GBEvaluator)) {
+            const detail = comparison[evaluator];
+            assert(detail.total === GBChessGame.fromFEN(fen, { evaluator }).evaluate(), `${evaluator} breakdown should match evaluate() for ${fen}`);
+        }
+    }
+    assert(GBChessGame.fromFEN(START_FEN).compareEvaluators().enhanced.total === 0, 'Start position should be level');
+    
+    // King and pawn ending: no shelter bonus, and the king belongs in the centre
+    const corner = enhanced('6k1/5ppp/8/8/8/8/5PPP/6K1 w - - 0 1');
+    const central = enhanced('6k1/5ppp/8/8/4K3/8/5PPP/8 w - - 0 1');
+    assert(corner.terms.kingSafety.white === 0, 'King shelter should not count in a pawn ending');
+    assert(central.terms.position.white > corner.terms.position.white, 'Endgame king should prefer the centre');
+    assert(GBChessGame.fromFEN('6k1/5ppp/8/8/8/8/5PPP/6K1 w - - 0 1').evaluateDetailed().terms.kingSafety.white === 24,
+        'Authentic evaluation should keep its shelter bonus');
+    
+    // Middlegame king safety is unchanged while all the pieces are on
+    const start = GBChessGame.fromFEN(START_FEN).compareEvaluators();
+    assert(start.enhanced.terms.kingSafety.white === start.authentic.terms.kingSafety.white, 'Full board should keep full king safety');
+    
+    // Doubled and isolated: e3 and e2 pay 15 for doubling and 15 each for isolation
+    const doubled = enhanced('4k3/8/8/8/8/4P3/4P3/4K3 w - - 0 1').terms.pawnStructure.white;
+    const connected = enhanced('4k3/8/8/8/8/4P3/3P4/4K3 w - - 0 1').terms.pawnStructure.white;
+    assert(connected - doubled === 45, `Doubled isolated pawns should cost 45 (got ${connected - doubled})`);
+    
+    // Rook files and the bishop pair, on top of the centre control both count
+    const extra = fen => {
+        const { authentic, enhanced } = GBChessGame.fromFEN(fen).compareEvaluators();
+        return {
+            white: enhanced.terms.strategic.white - authentic.terms.strategic.white,
+            black: enhanced.terms.strategic.black - authentic.terms.strategic.black
+        };
+    };
+    const rooks = extra('r3k3/1ppp3p/8/8/8/8/4PPP1/R3K2R w - - 0 1');
+    assert(rooks.white === 20 + 10 && rooks.black === 20, 'Rooks should score open (a-file) and half-open (h-file) files');
+    const pair = extra('2b1kb2/8/8/8/8/8/8/2B1KN2 w - - 0 1');
+    assert(pair.black === 40 && pair.white === 0, 'Two bishops should earn the pair bonus');
+    
+    // The search uses it: pawns are pushed rather than the king tucked in
+    const game = GBChessGame.fromFEN('6k1/5ppp/8/8/8/8/5PPP/6K1 w - - 0 1', { evaluator: GBEvaluator.ENHANCED });
+    const push = game.getBestMove(3);
+    assert(game.board[push.fromRow][push.fromCol] === 'P', 'Enhanced evaluator should push pawns in a pawn ending');
+    
+    let threw = false;
+    try {
+        new GBChessGame({ evaluator: 'clever' });
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'Unknown evaluator should throw');
+    
+    // Selectable over UCI
+    const output = [];
+    const engine = new UCIEngine({ write: line => output.push(line) });
+    engine.handle('uci');
+    assert(output.includes('option name Evaluator type combo default Authentic var Authentic var Enhanced'), 'UCI should offer the Evaluator option');
+    engine.handle('setoption name Evaluator value Enhanced');
+    engine.handle('position startpos');
+    assert(engine.game.options.evaluator === GBEvaluator.ENHANCED, 'setoption should select the evaluator');
+    
+    console.log('✓ Enhanced evaluator passed');
+}
+
+/**
+ * Build Polyglot book bytes: entries are [key, from, to, weight] with squares
+ * in UCI notation, written in the given order
+ */
+function polyglotBytes(entries) {
+    const square = name => (Number(name[1]) - 1) * 8 + 'abcdefgh'.indexOf(name[0]);
+    const bytes = new Uint8Array(16 * entries.length);
+    const view = new DataView(bytes.buffer);
+    entries.forEach(([key, from, to, weight], i) => {
+        view.setBigUint64(16 * i, key);
+        view.setUint16(16 * i + 8, (square(from) << 6) | square(to));
+        view.setUint16(16 * i + 10, weight);
+    });
+    return bytes;
+}
+
+async function testOpeningBook() {
+    console.log('Testing: Opening book...');
+    
+    // Keys from the Polyglot specification, including the en passant and lost castling cases
+    const game = new GBChessGame();
+    const keys = [0x463b96181691fc9cn, 0x823c9b50fd114196n, 0x0756b94461c50fb0n, 0x662fafb965db29d4n,
+        0x22a48b5a8e47ff78n, 0x652a607ca3f242c1n, 0x00fdd303c946bdd9n];
+    assert(polyglotKey(game) === keys[0], 'Start position key should match Polyglot');
+    ['e2e4', 'd7d5', 'e4e5', 'f7f5', 'e1e2', 'e8f7'].forEach((text, i) => {
+        const move = game.parseUCI(text);
+        game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        assert(polyglotKey(game) === keys[i + 1], `Key after ${text} should match Polyglot`);
+    });
+    
+    // Reading a .bin: e4 and d4 from the start, plus a move that is not legal there
+    const start = new GBChessGame();
+    const bytes = polyglotBytes([[keys[0], 'e2', 'e4', 3], [keys[0], 'd2', 'd4', 1], [keys[0], 'e2', 'e5', 9], [keys[1], 'e7', 'e5', 1]]);
+    const book = OpeningBook.fromBuffer(bytes.buffer);
+    assert(book.size === 4, 'Every entry should be read');
+    assert(book.lookup(start).map(entry => start.moveToUCI(entry.move) + ':' + entry.weight).join() === 'e2e4:3,d2d4:1',
+        'Lookup should return the legal book moves with their weights');
+    assert(start.moveToUCI(book.pick(start, { selection: GBBookSelection.BEST })) === 'e2e4', 'Best selection should take the heaviest move');
+    assert(start.moveToUCI(book.pick(start, { random: () => 0 })) === 'e2e4', 'Weighted selection should follow the weights');
+    assert(start.moveToUCI(book.pick(start, { random: () => 0.9 })) === 'd2d4', 'Weighted selection should reach lighter moves');
+    assert(book.pick(GBChessGame.fromFEN(PERFT_SUITE[1].fen)) === null, 'Unknown positions should have no book move');
+    
+    // Node Buffers and views into a larger buffer read the same
+    const padded = new Uint8Array(bytes.length + 8);
+    padded.set(bytes, 8);
+    assert(OpeningBook.fromBuffer(padded.subarray(8)).lookup(start).length === 2, 'Typed array views should be readable');
+    let threw = false;
+    try {
+        OpeningBook.fromBuffer(new Uint8Array(20));
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'A partial entry should be rejected');
+    
+    // Castling is stored as the king taking its rook
+    const castling = GBChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    const castles = OpeningBook.fromBuffer(polyglotBytes([[polyglotKey(castling), 'e1', 'h1', 1], [polyglotKey(castling), 'e1', 'a1', 1]]));
+    assert(castles.lookup(castling).map(entry => castling.moveToUCI(entry.move)).join() === 'e1g1,e1c1', 'Castling should decode to the king move');
+    
+    // From disk
+    const dir = mkdtempSync(join(tmpdir(), 'gbchess-book-'));
+    try {
+        writeFileSync(join(dir, 'test.bin'), bytes);
+        const fromDisk = await OpeningBook.fromFile(join(dir, 'test.bin'));
+        assert(fromDisk.size === 4 && fromDisk.lookup(start).length === 2, 'Book files should load from disk');
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+    
+    // The built-in book answers getBestMove() without a search, until it runs out
+    const defaultBook = OpeningBook.createDefault();
+    const booked = new GBChessGame({ book: defaultBook, bookSelection: GBBookSelection.BEST });
+    const first = booked.getBestMove(3);
+    assert(first.book === true && booked.moveToUCI(first) === 'e2e4' && booked.nodes === 0, 'Book move should be played without searching');
+    const seen = new Set();
+    for (let i = 0; i < 50; i++) {
+        seen.add(booked.moveToUCI(new GBChessGame({ book: defaultBook }).getBestMove(1)));
+    }
+    assert(seen.size > 1 && [...seen].every(text => ['e2e4', 'd2d4', 'c2c4', 'g1f3'].includes(text)), 'Weighted selection should vary the opening');
+    const outOfBook = GBChessGame.fromFEN(PERFT_SUITE[1].fen, { book: defaultBook });
+    const searched = outOfBook.getBestMove(1);
+    assert(!searched.book && typeof searched.score === 'number', 'Out of book the engine should search');
+    
+    // UCI: OwnBook switches it on, and book moves are announced
+    const output = [];
+    const engine = new UCIEngine({ write: line => output.push(line) });
+    engine.handle('uci');
+    assert(output.includes('option name OwnBook type check default false'), 'UCI should offer OwnBook');
+    engine.handle('setoption name OwnBook value true');
+    engine.handle('setoption name Book Selection value Best');
+    engine.handle('position startpos moves e2e4');
+    engine.handle('go depth 3');
+    await engine.search;
+    assert(output[output.length - 2] === 'info string book move e7e5' && output[output.length - 1] === 'bestmove e7e5',
+        'UCI should play and announce the book move');
+    engine.handle('setoption name Book File value /nonexistent/book.bin');
+    assert(output[output.length - 1].startsWith("info string cannot load book '/nonexistent/book.bin'"), 'Unreadable book files should be reported');
+    
+    console.log('✓ Opening book passed');
+}
+
+// Ruy Lopez after 3...a6, a quiet middlegame for search benchmarks
+const RUY_LOPEZ_FEN = 'r1bqkbnr/1ppp1ppp/p1n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 0 4';
+
+function testMoveOrdering() {
+    console.log('Testing: Move ordering...');
+    
+    // Captures first: most valuable victim, then least valuable attacker
+    const game = GBChessGame.fromFEN(RUY_LOPEZ_FEN);
+    const moves = game.generateMoves();
+    game._orderMoves(moves, 0, 0);
+    assert(moves.slice(0, 3).map(m => game.moveToUCI(m)).join() === 'b5c6,f3e5,b5a6', 'Bxc6, Nxe5, Bxa6 should be ordered first');
+    
+    // Order changes how much is searched, never the result
+    const fixed = { hashSize: 0, quiescence: false };
+    const ordered = GBChessGame.fromFEN(PERFT_SUITE[1].fen, fixed);
+    const unordered = GBChessGame.fromFEN(PERFT_SUITE[1].fen, { ...fixed, moveOrdering: false });
+    const score = ordered.getBestMove(3).score;
+    assert(unordered.getBestMove(3).score === score, 'Ordering should not change the score');
+    assert(ordered.nodes < unordered.nodes / 2, `Ordering should prune more (${ordered.nodes} vs ${unordered.nodes} nodes)`);
+    assert(ordered.toFEN() === PERFT_SUITE[1].fen, 'Search should leave the position as it was');
+    
+    console.log('✓ Move ordering passed');
+}
+
+function testAnalyze() {
+    console.log('Testing: Multi-PV analysis...');
+    
+    const game = GBChessGame.fromFEN(RUY_LOPEZ_FEN);
+    const analysis = game.analyze({ depth: 3, multiPV: 3 });
+    assert(analysis.depth === 3 && analysis.nodes === game.nodes && analysis.timeMs >= 0, 'Analysis should report its depth, nodes and time');
+    assert(analysis.lines.length === 3, 'Should return multiPV lines');
+    assert(new Set(analysis.lines.map(line => line.pvUCI[0])).size === 3, 'Lines should start with different moves');
+    for (const [i, line] of analysis.lines.entries()) {
+        assert(i === 0 || line.score <= analysis.lines[i - 1].score, 'Lines should be best first for White');
+        assert(line.pv[0] === line.move, 'PV should start with the line\'s move');
+        assert(line.pv.length === line.pvSAN.length && line.pvSAN[0] === game.moveToSAN(line.move), 'PV should be given in SAN');
+        assert(line.pvUCI.join(' ') === line.pv.map(move => game.moveToUCI(move)).join(' '), 'PV should be given in UCI');
+    }
+    assert(game.toFEN() === RUY_LOPEZ_FEN, 'Analysis should leave the position as it was');
+    
+    const best = GBChessGame.fromFEN(RUY_LOPEZ_FEN).getBestMove(3);
+    assert(analysis.lines[0].score === best.score && analysis.lines[0].pvUCI[0] === game.moveToUCI(best), 'The first line should be the best move');
+    
+    // Every line's score is exact, not just a bound: it matches searching that move on its own
+    const exact = { hashSize: 0, quiescence: false };
+    const second = GBChessGame.fromFEN(RUY_LOPEZ_FEN, exact).analyze({ depth: 3, multiPV: 2 }).lines[1];
+    const after = GBChessGame.fromFEN(RUY_LOPEZ_FEN, exact);
+    after.makeMove(second.move.fromRow, second.move.fromCol, second.move.toRow, second.move.toCol);
+    assert(after.getBestMove(2).score === second.score, 'Second line should carry its exact score');
+    
+    // Fewer legal moves than lines asked for, no legal moves, bad arguments
+    const forced = GBChessGame.fromFEN('7k/R7/8/8/8/8/8/1R4K1 b - - 1 1').analyze({ depth: 2, multiPV: 3 });
+    assert(forced.lines.length === 1 && forced.lines[0].pvSAN[0] === 'Kg8', 'Only legal moves should be reported');
+    assert(GBChessGame.fromFEN('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1').analyze() === null, 'No legal move should give null');
+    let threw = false;
+    try {
+        game.analyze({ multiPV: 0 });
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'multiPV below 1 should throw');
+    
+    const timed = GBChessGame.fromFEN(RUY_LOPEZ_FEN).analyze({ timeMs: 100, multiPV: 2 });
+    assert(timed.depth >= 1 && timed.lines.length === 2, 'A timed analysis should return completed lines');
+    
+    console.log('✓ Multi-PV analysis passed');
+}
+
+async function testEngineHost() {
+    console.log('Testing: Engine worker host...');
+    const host = new EngineHost();
+    
+    try {
+        // Search a position given as FEN, streaming progress
+        const depths = [];
+        const mate = await host.search({
+            fen: '6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1',
+            options: { maxDepth: 3 },
+            onInfo: info => depths.push(info.depth)
+        });
+        const reference = GBChessGame.fromFEN('6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1');
+        assert(reference.moveToUCI(mate) === 'd1d8' && mate.score === 29999, 'Worker should find the mate');
+        assert(depths.join() === '1', 'Worker should stream each completed depth');
+        
+        // Moves from the start position
+        const reply = await host.search({ moves: ['e2e4'], options: { maxDepth: 2 } });
+        const afterE4 = new GBChessGame();
+        afterE4.makeMove(6, 4, 4, 4);
+        assert(afterE4.isValidMove(reply.fromRow, reply.fromCol, reply.toRow, reply.toCol), 'Worker should answer for the side to move');
+        
+        // Stop plays the last completed depth's move and leaves the host usable
+        const started = performance.now();
+        let lastDepth = 0;
+        const running = host.search({
+            fen: PERFT_SUITE[1].fen,
+            options: { maxDepth: 20 },
+            onInfo: info => {
+                lastDepth = info.depth;
+                if (info.depth === 2) host.stop();
+            }
+        });
+        assert(host.busy, 'Host should be busy while searching');
+        let rejected = false;
+        await host.search({}).catch(() => {
+            rejected = true;
+        });
+        assert(rejected, 'A second search should be refused while one runs');
+        const stopped = await running;
+        assert(stopped && lastDepth === 2 && !host.busy, 'Stop should return the depth 2 move');
+        assert(performance.now() - started < 5000, 'Stop should not wait for the search to finish');
+        
+        // A stopped search at a strength level plays the level's choice, and a
+        // game's seed replays its moves
+        const level = { strength: { maxDepth: 20, candidates: 20, blunder: 1 }, seed: 9 };
+        let choice = null;
+        const weak = host.search({
+            moves: ['e2e4', 'e7e5'],
+            gameOptions: level,
+            onInfo: info => {
+                choice = info.choice;
+                if (info.depth === 2) host.stop();
+            }
+        });
+        assert(JSON.stringify(await weak) === JSON.stringify(choice), 'Stop should play the level\'s choice');
+        const replay = async () => afterE4.moveToUCI(await host.search({ options: { maxDepth: 1 }, moves: ['e2e4', 'e7e5'], gameOptions: level }));
+        assert(await replay() === await replay(), 'The same seed and moves should replay the same move');
+        
+        // Stopping before depth 1 waits for it
+        const early = host.search({ options: { maxDepth: 20 } });
+        host.stop();
+        assert(await early, 'Stopping early should still produce a move');
+        
+        // Errors come back as rejections
+        let message = '';
+        await host.search({ fen: 'not a fen' }).catch(error => {
+            message = error.message;
+        });
+        assert(/Invalid FEN/.test(message), 'A bad position should reject the search');
+    } finally {
+        host.terminate();
+    }
+    
+    console.log('✓ Engine worker host passed');
+}
+
+function benchmarkMoveOrdering() {
+    console.log('\n📊 Move Ordering Benchmark (Ruy Lopez):');
+    console.log('=' .repeat(50));
+    
+    for (const [name, level] of Object.entries(GBDifficulty)) {
+        const nodes = {};
+        for (const moveOrdering of [false, true]) {
+            const game = GBChessGame.fromFEN(RUY_LOPEZ_FEN, { moveOrdering });
+            game.getBestMove(level);
+            nodes[moveOrdering] = game.nodes;
+        }
+        const saved = Math.round((1 - nodes.true / nodes.false) * 100);
+        console.log(`${name.padEnd(8)} depth ${level}: ${nodes.false} -> ${nodes.true} nodes (${saved}% fewer)`);
+    }
+    
+    console.log('=' .repeat(50));
+}
+
 // Performance benchmark
 function benchmarkSearch() {
     console.log('\n📊 Performance Benchmark:');
@@ -201,6 +1622,7 @@ function benchmarkSearch() {
     const results = [];
     
     for (const depth of depths) {
+        game.clearHash();
         const startTime = performance.now();
         const move = game.getBestMove(depth);
         const endTime = performance.now();
@@ -208,12 +1630,185 @@ function benchmarkSearch() {
         const time = endTime - startTime;
         results.push({ depth, time, move });
         
-        console.log(`Depth ${depth}: ${time.toFixed(2)}ms (score: ${move.score})`);
+        const nps = Math.round(game.nodes / time * 1000);
+        console.log(`Depth ${depth}: ${time.toFixed(2)}ms (score: ${move.score}, ${game.nodes} nodes, ${nps} nodes/s)`);
     }
     
     console.log('=' .repeat(50));
 }
 
+function testEndgame() {
+    console.log('Testing: Endgame knowledge...');
+    
+    // KPK: the bitbase knows the opposition and the rook pawn
+    const kpk = (fen, expected, message) => {
+        const game = GBChessGame.fromFEN(fen);
+        assert(probeKPK(game.board, game.whiteToMove) === expected, message);
+    };
+    let wins = 0;
+    for (const word of generateKPK()) {
+        for (let bits = word; bits; bits &= bits - 1) wins++;
+    }
+    assert(wins === 111282, `KPK should have 111282 won positions, got ${wins}`);
+    kpk('3k4/8/3K4/8/3P4/8/8/8 w - - 0 1', true, 'King in front of the pawn with the opposition wins');
+    kpk('3k4/8/3K4/8/3P4/8/8/8 b - - 0 1', true, 'King on the sixth wins whoever moves');
+    kpk('8/3k4/8/3K4/3P4/8/8/8 w - - 0 1', false, 'Without the opposition it is a draw');
+    kpk('8/3k4/8/3K4/3P4/8/8/8 b - - 0 1', true, 'With the opposition it wins');
+    kpk('7k/8/8/8/8/8/7P/7K w - - 0 1', false, 'Rook pawn with the king in the corner is a draw');
+    kpk('8/8/8/3p4/3k4/8/8/3K4 w - - 0 1', false, 'Black pawns are looked up too');
+    kpk('8/8/8/8/3k4/3P4/8/7K b - - 0 1', false, 'The pawn is lost');
+    kpk('8/8/8/8/3k4/3P4/8/3QK3 w - - 0 1', null, 'Other endings are not KPK');
+    
+    // Draws by material, mop-up scores and positions left to the evaluation
+    const score = fen => {
+        const game = GBChessGame.fromFEN(fen);
+        return evaluateEndgame(game.board, game.whiteToMove);
+    };
+    assert(score('8/8/3k4/8/8/8/8/1N2KN2 w - - 0 1') === 0, 'Two knights cannot force mate');
+    assert(score('8/8/3kb3/8/8/8/8/4KN2 w - - 0 1') === 0, 'Minor against minor is a draw');
+    assert(score('7k/8/8/8/8/8/8/Q3K3 w - - 0 1') > score('8/8/8/4k3/8/8/8/Q3K3 w - - 0 1'),
+        'The lone king should be worse off at the edge');
+    assert(score('8/8/8/4K3/8/8/8/q3k3 b - - 0 1') < -KNOWN_WIN, 'Black mating material should score for Black');
+    assert(score('7k/8/8/8/8/8/8/2B1KN2 w - - 0 1') > score('k7/8/8/8/8/8/8/2B1KN2 w - - 0 1'),
+        'A dark-squared bishop mates in a dark corner');
+    assert(score('8/8/3k4/8/8/8/8/3QK3 b - - 0 1') > KNOWN_WIN, 'Mop-up applies with either side to move');
+    assert(score('8/8/3k4/8/8/8/4P3/2B1K3 w - - 0 1') === null, 'Bishop and pawn are left to the evaluation');
+    assert(score(START_FEN) === null, 'Middlegames are left to the evaluation');
+    
+    // The search plays the mates out, and only with the knowledge switched on
+    const mate = (fen, options, depth) => {
+        const game = GBChessGame.fromFEN(fen, options);
+        for (let ply = 0; ply < 60 && !game.isGameOver(); ply++) {
+            const move = game.getBestMove(depth);
+            game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        }
+        return game.isGameOver() && game.getGameResult().result === GBResult.CHECKMATE;
+    };
+    assert(mate('8/8/8/4k3/8/8/8/R3K3 w - - 0 1', {}, 3), 'Rook and king should mate');
+    assert(mate('8/8/8/4K3/8/8/8/q3k3 b - - 0 1', {}, 3), 'Black should mate with the queen');
+    assert(!mate('8/8/8/4k3/8/8/8/R3K3 w - - 0 1', { endgame: false }, 3), 'Without endgame knowledge depth 3 should not mate quickly');
+    assert(GBChessGame.fromFEN('7k/8/8/8/8/8/7P/7K w - - 0 1').getBestMove(4).score === 0, 'Search should see the KPK draw');
+    
+    console.log('✓ Endgame knowledge passed');
+}
+
+function testStrengthLevels() {
+    console.log('Testing: Strength levels...');
+    
+    // Seeded random numbers repeat exactly
+    const sequence = seed => {
+        const random = createRandom(seed);
+        return Array.from({ length: 5 }, () => random());
+    };
+    assert(sequence(7).join() === sequence(7).join(), 'The same seed should give the same numbers');
+    assert(sequence(7).join() !== sequence(8).join(), 'Different seeds should give different numbers');
+    assert(sequence(7).every(value => value >= 0 && value < 1), 'Numbers should be in [0, 1)');
+    
+    assert(STRENGTH_LEVELS.length === 10, 'There should be ten levels');
+    let threw = false;
+    try {
+        new GBChessGame({ strength: 11 });
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'Unknown levels should be rejected');
+    
+    // Levels cap the search by depth or nodes whatever the caller asks for
+    const depths = [];
+    new GBChessGame({ strength: 1 }).getBestMove({ maxDepth: 4, onInfo: info => depths.push(info.depth) });
+    assert(depths.join() === '1', `Level 1 should search depth 1 only, got ${depths}`);
+    const limited = new GBChessGame({ strength: 7 });
+    limited.getBestMove({ maxDepth: 20 });
+    assert(limited.nodes <= STRENGTH_LEVELS[6].nodes + 1, `Level 7 should stop at its node limit, got ${limited.nodes}`);
+    
+    // Moves outside the window are never played, however much noise there is
+    const fen = '4k3/8/8/3q4/8/8/8/3RK3 w - - 0 1';
+    for (let seed = 1; seed <= 10; seed++) {
+        const game = GBChessGame.fromFEN(fen, { strength: { maxDepth: 2, candidates: 10, window: 50, noise: 1000 }, seed });
+        assert(game.moveToUCI(game.getBestMove()) === 'd1d5', 'Only the queen capture is within the window');
+    }
+    
+    // Blunders pick any candidate; a seed replays the same choices
+    const choices = seed => {
+        const game = new GBChessGame({ strength: { maxDepth: 1, candidates: 20, blunder: 1 }, seed });
+        return Array.from({ length: 5 }, () => game.moveToUCI(game.getBestMove())).join();
+    };
+    assert(choices(3) === choices(3), 'A seed should reproduce the moves');
+    assert(new Set(choices(3).split(',')).size > 1, 'Blunders should vary the move');
+    let reportedChoice = null;
+    const reporting = new GBChessGame({ strength: { maxDepth: 2, candidates: 20, blunder: 1 }, seed: 4 });
+    const chosen = reporting.getBestMove({ onInfo: info => {
+        reportedChoice = info.choice;
+    } });
+    assert(reportedChoice === chosen, 'The last report should carry the move played');
+    const exact = new GBChessGame({ strength: { maxDepth: 2, candidates: 3 } });
+    assert(exact.moveToUCI(exact.getBestMove()) === new GBChessGame().moveToUCI(new GBChessGame().getBestMove(2)),
+        'Without window, noise or blunders the best move is played');
+    
+    // Engine-vs-engine games and matches
+    const short = playGame({ strength: 1, seed: 1 }, { strength: 1, seed: 2 }, { maxPlies: 10 });
+    assert(short.winner === null && short.reason === 'move-limit' && short.moves.length === 10, 'Long games should be cut off as draws');
+    assert(playGame({ strength: 3, seed: 5 }, { strength: 1, seed: 6 }).moves.join() ===
+        playGame({ strength: 3, seed: 5 }, { strength: 1, seed: 6 }).moves.join(), 'Seeded games should replay exactly');
+    const match = playMatch({ strength: 1 }, { strength: 1 }, { games: 2, maxPlies: 20 });
+    assert(match.wins + match.draws + match.losses === 2 && match.score === (match.wins + match.draws / 2) / 2, 'Every match game should count');
+    assert(eloDifference(0.5) === 0 && eloDifference(0.75) === 191 && eloDifference(0.25) === -191, 'Scores should convert to Elo');
+    
+    console.log('✓ Strength levels passed');
+}
+
+function testCoach() {
+    console.log('Testing: Move coaching...');
+    
+    assert(resultScore(null) === null, 'A game in progress has no result score');
+    assert(resultScore({ result: GBResult.STALEMATE, winner: null }) === 0, 'Draws score 0');
+    assert(resultScore({ result: GBResult.CHECKMATE, winner: 'black' }) === -Infinity, 'Black mating scores for Black');
+    
+    // Losses are measured from the mover's side, with scores capped so won positions stay won
+    const best = { fromRow: 6, fromCol: 4, toRow: 4, toCol: 4, score: 50 };
+    const other = { fromRow: 6, fromCol: 3, toRow: 4, toCol: 3 };
+    assert(judgeMove(best, { ...best, score: undefined }, 0, true).quality === GBMoveQuality.BEST, 'The engine\'s move is best');
+    assert(JSON.stringify(judgeMove(best, other, 0, true)) === '{"quality":"good","loss":50}', 'Small losses are fine');
+    assert(judgeMove(best, other, -100, true).quality === GBMoveQuality.INACCURACY, 'Losing 150 is an inaccuracy');
+    assert(judgeMove(best, other, -200, true).quality === GBMoveQuality.MISTAKE, 'Losing 250 is a mistake');
+    assert(judgeMove(best, other, -400, true).quality === GBMoveQuality.BLUNDER, 'Losing 450 is a blunder');
+    assert(judgeMove(best, other, -400, false).loss === 0, 'A lower score is better for Black');
+    assert(judgeMove({ ...best, score: 29995 }, other, 1500, true).loss === 0, 'A slower win is no loss');
+    assert(judgeMove({ ...best, score: 0 }, other, Infinity, true).loss === 0, 'Mating is never a loss');
+    
+    // Reviews search the position before and after the move
+    const game = GBChessGame.fromFEN('4k3/8/8/3q4/8/8/8/3RK3 w - - 0 1');
+    const fen = game.toFEN();
+    const capture = reviewMove(game, game.parseUCI('d1d5'));
+    assert(capture.quality === GBMoveQuality.BEST, 'Taking the queen is the best move');
+    const hanging = reviewMove(game, game.parseUCI('e1f2'));
+    assert(hanging.quality === GBMoveQuality.BLUNDER && game.moveToUCI(hanging.best) === 'd1d5', 'Missing the queen is a blunder');
+    assert(game.toFEN() === fen, 'Reviewing should leave the game as it was');
+    
+    // The played move is scored by a search restricted to it, at the best move's depth
+    const restricted = game.clone().getBestMove({ maxDepth: COACH_DEPTH, searchMoves: [game.parseUCI('e1f2')] });
+    assert(game.moveToUCI(restricted) === 'e1f2', 'searchMoves should restrict the root moves');
+    assert(hanging.loss === Math.min(1000, hanging.best.score) - Math.max(-1000, restricted.score),
+        'The loss should compare same-depth scores');
+    assert(game.getBestMove({ maxDepth: 1, searchMoves: [{ fromRow: 7, fromCol: 3, toRow: 0, toCol: 3 }] }) === null, 'Without a legal move to search there is no move');
+    const black = GBChessGame.fromFEN('4k3/8/8/3q4/8/8/8/3RK3 b - - 0 1');
+    assert(reviewMove(black, black.parseUCI('d5d1')).quality === GBMoveQuality.BLUNDER, 'Giving the queen away is a blunder for Black');
+    assert(reviewMove(black, black.parseUCI('d5a2')).quality === GBMoveQuality.GOOD, 'Keeping the queen safe is good for Black');
+    const start = new GBChessGame({ strength: 1 });
+    assert(reviewMove(start, start.parseUCI('e2e4')).quality === GBMoveQuality.GOOD, 'Sound openings should not be flagged');
+    const mate = GBChessGame.fromFEN('6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1');
+    assert(reviewMove(mate, mate.parseUCI('d1d8')).quality === GBMoveQuality.BEST, 'Mating is the best move');
+    let threw = false;
+    try {
+        reviewMove(mate, { fromRow: 7, fromCol: 3, toRow: 0, toCol: 0 });
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'Illegal moves cannot be reviewed');
+    
+    console.log('✓ Move coaching passed');
+}
+
 // Run all tests
 async function runAllTests() {
     console.log('\n🧪 GB Chess Engine - JavaScript Test Suite');
@@ -224,16 +1819,42 @@ async function runAllTests() {
         testBasicMoves();
         testKnightMoves();
         testPawnPromotion();
+        testUnderpromotion();
+        testEnPassant();
         testMoveGeneration();
         testEvaluation();
         testAIMove();
         testGameOver();
+        testGameResult();
         testClone();
         testDifficulties();
         testBoardString();
+        testFEN();
+        testSAN();
+        testPGN();
+        testUndoRedo();
+        await testUCI();
+        testPerft();
+        testMakeUnmake();
+        testTranspositionTable();
+        testIterativeDeepening();
+        testQuiescence();
+        testMoveOrdering();
+        testMateScoring();
+        testAnalyze();
+        await testEngineHost();
+        testEvaluateDetailed();
+        testPersonalities();
+        testEnhancedEvaluator();
+        await testOpeningBook();
+        testEndgame();
+        testStrengthLevels();
+        testCoach();
         
         console.log('\n✅ All tests passed!\n');
         
+        benchmarkMoveGeneration();
+        benchmarkMoveOrdering();
         benchmarkSearch();
         
         console.log('\n🎉 Test suite completed successfully!');
@@ -0,0 +1,433 @@
+#!/usr/bin/env node
+/**
+ * UCI (Universal Chess Interface) front end for the GB Chess Engine
+ * Speaks UCI over stdin/stdout so the Chessmaster AI can run inside chess
+ * GUIs and automated match tools:
+ *   node uci.js [--personality=aggressive] [--evaluator=enhanced] [--difficulty=hard]
+ *               [--ownbook=true] [--book-file=book.bin]
+ * Command-line flags set UCI options before the GUI connects.
+ */
+
+import { readFileSync, realpathSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { pathToFileURL } from 'node:url';
+import { GBChessGame, GBBookSelection, GBDifficulty, GBEvaluator, GBPersonality, describeScore } from './gbchess.js';
+import { OpeningBook } from './book.js';
+import { EngineHost } from './engine-host.js';
+
+const ENGINE_NAME = 'GB Chess (The Chessmaster 1990)';
+const ENGINE_AUTHOR = 'Edward Halferty';
+
+// GBDifficulty keys as UCI combo values, e.g. MEDIUM -> "Medium"
+const DIFFICULTY_NAMES = Object.keys(GBDifficulty).map(name => name[0] + name.slice(1).toLowerCase());
+
+// GBPersonality keys as UCI combo values, e.g. AGGRESSIVE -> "Aggressive"
+const PERSONALITY_NAMES = Object.keys(GBPersonality).map(name => name[0] + name.slice(1).toLowerCase());
+
+// GBEvaluator keys as UCI combo values, e.g. ENHANCED -> "Enhanced"
+const EVALUATOR_NAMES = Object.keys(GBEvaluator).map(name => name[0] + name.slice(1).toLowerCase());
+
+// GBBookSelection keys as UCI combo values, e.g. WEIGHTED -> "Weighted"
+const BOOK_SELECTION_NAMES = Object.keys(GBBookSelection).map(name => name[0] + name.slice(1).toLowerCase());
+
+// Book File value meaning the built-in book
+const NO_BOOK_FILE = '<empty>';
+
+// Transposition table size limits for the Hash option, in megabytes
+const DEFAULT_HASH = 16;
+const MAX_HASH = 1024;
+
+// Deepest search attempted for 'go infinite' and for time or node limits
+const MAX_DEPTH = 8;
+
+// Share of the clock spent on one move when the GUI does not send movestogo
+const DEFAULT_MOVES_TO_GO = 30;
+
+/**
+ * UCI protocol handler; feed it input lines and it writes responses
+ */
+export class UCIEngine {
+    /**
+     * @param {Object} io
+     * @param {Function} io.write - Called with each output line
+     * @param {Function} [io.exit] - Called on 'quit'
+     */
+    constructor({ write, exit = () => {} }) {
+        this.write = write;
+        this.exit = exit;
+        this.options = {
+            Difficulty: DIFFICULTY_NAMES[GBDifficulty.MEDIUM - 1],
+            Hash: DEFAULT_HASH,
+            Quiescence: true,
+            Endgame: true,
+            Personality: PERSONALITY_NAMES[0],
+            Evaluator: EVALUATOR_NAMES[0],
+            OwnBook: false,
+            'Book File': NO_BOOK_FILE,
+            'Book Selection': BOOK_SELECTION_NAMES[0]
+        };
+
+        // The Book File's book, or the built-in one (built when first needed)
+        this.book = null;
+
+        // Searches run in a worker, so 'stop' and 'isready' are answered at
+        // once. The worker keeps its transposition table between searches, so
+        // what a search learns carries over to the next move.
+        this.host = new EngineHost();
+        this.game = new GBChessGame(this._gameOptions());
+        this.search = null;
+        this.stopRequested = false;
+        this._wakeOnStop = null;
+    }
+
+    /**
+     * Handle one line of UCI input
+     * @param {string} line - Command from the GUI
+     */
+    handle(line) {
+        const text = line.trim();
+        const [command] = text.split(/\s+/);
+
+        switch (command) {
+            case 'uci':
+                this.write(`id name ${ENGINE_NAME}`);
+                this.write(`id author ${ENGINE_AUTHOR}`);
+                this.write(`option name Difficulty type combo default ${this.options.Difficulty} ` +
+                    DIFFICULTY_NAMES.map(name => `var ${name}`).join(' '));
+                this.write(`option name Hash type spin default ${DEFAULT_HASH} min 1 max ${MAX_HASH}`);
+                this.write('option name Clear Hash type button');
+                this.write('option name Quiescence type check default true');
+                this.write('option name Endgame type check default true');
+                this.write(`option name Personality type combo default ${PERSONALITY_NAMES[0]} ` +
+                    PERSONALITY_NAMES.map(name => `var ${name}`).join(' '));
+                this.write(`option name Evaluator type combo default ${EVALUATOR_NAMES[0]} ` +
+                    EVALUATOR_NAMES.map(name => `var ${name}`).join(' '));
+                this.write('option name OwnBook type check default false');
+                this.write(`option name Book File type string default ${NO_BOOK_FILE}`);
+                this.write(`option name Book Selection type combo default ${BOOK_SELECTION_NAMES[0]} ` +
+                    BOOK_SELECTION_NAMES.map(name => `var ${name}`).join(' '));
+                this.write('uciok');
+                break;
+            case 'isready':
+                this.write('readyok');
+                break;
+            case 'setoption':
+                this._setOption(text);
+                break;
+            case 'ucinewgame':
+                this._clearHash();
+                this.game = new GBChessGame(this._gameOptions());
+                break;
+            case 'position':
+                this._position(text);
+                break;
+            case 'go':
+                if (!this.search) {
+                    this.search = this._go(text).finally(() => {
+                        this.search = null;
+                    });
+                }
+                break;
+            case 'stop':
+                this._stop();
+                break;
+            case 'quit':
+                this._stop();
+                this.host.terminate();
+                this.exit();
+                break;
+            case '':
+                break;
+            default:
+                this.write(`info string unknown command '${command}'`);
+        }
+    }
+
+    /**
+     * setoption name <id> [value <x>]
+     */
+    _setOption(text) {
+        const match = /^setoption\s+name\s+(.+?)(?:\s+value\s+(.*))?$/i.exec(text);
+        if (!match) {
+            this.write('info string malformed setoption');
+            return;
+        }
+
+        const [, name, value] = match;
+        switch (name.toLowerCase()) {
+            case 'difficulty': {
+                const choice = DIFFICULTY_NAMES.find(d => d.toLowerCase() === String(value).toLowerCase());
+                if (!choice) {
+                    this.write(`info string unknown Difficulty '${value}'`);
+                    return;
+                }
+                this.options.Difficulty = choice;
+                break;
+            }
+            case 'hash': {
+                const size = Number(value);
+                if (!Number.isInteger(size) || size < 1 || size > MAX_HASH) {
+                    this.write(`info string Hash must be 1-${MAX_HASH} MB, got '${value}'`);
+                    return;
+                }
+                this.options.Hash = size;
+                break;
+            }
+            case 'clear hash':
+                this._clearHash();
+                break;
+            case 'personality': {
+                const choice = PERSONALITY_NAMES.find(p => p.toLowerCase() === String(value).toLowerCase());
+                if (!choice) {
+                    this.write(`info string unknown Personality '${value}'`);
+                    return;
+                }
+                this.options.Personality = choice;
+                this.game.options.personality = GBPersonality[choice.toUpperCase()];
+                break;
+            }
+            case 'evaluator': {
+                const choice = EVALUATOR_NAMES.find(e => e.toLowerCase() === String(value).toLowerCase());
+                if (!choice) {
+                    this.write(`info string unknown Evaluator '${value}'`);
+                    return;
+                }
+                this.options.Evaluator = choice;
+                this.game.options.evaluator = GBEvaluator[choice.toUpperCase()];
+                break;
+            }
+            case 'ownbook': {
+                const enabled = String(value).toLowerCase();
+                if (enabled !== 'true' && enabled !== 'false') {
+                    this.write(`info string OwnBook must be true or false, got '${value}'`);
+                    return;
+                }
+                this.options.OwnBook = enabled === 'true';
+                this.game.options.book = this._book();
+                break;
+            }
+            case 'book file': {
+                const path = value === undefined || value.trim() === '' ? NO_BOOK_FILE : value.trim();
+                try {
+                    this.book = path === NO_BOOK_FILE ? null : OpeningBook.fromBuffer(readFileSync(path));
+                } catch (error) {
+                    this.write(`info string cannot load book '${path}': ${error.message}`);
+                    return;
+                }
+                this.options['Book File'] = path;
+                this.game.options.book = this._book();
+                break;
+            }
+            case 'book selection': {
+                const choice = BOOK_SELECTION_NAMES.find(b => b.toLowerCase() === String(value).toLowerCase());
+                if (!choice) {
+                    this.write(`info string unknown Book Selection '${value}'`);
+                    return;
+                }
+                this.options['Book Selection'] = choice;
+                this.game.options.bookSelection = GBBookSelection[choice.toUpperCase()];
+                break;
+            }
+            case 'quiescence': {
+                const enabled = String(value).toLowerCase();
+                if (enabled !== 'true' && enabled !== 'false') {
+                    this.write(`info string Quiescence must be true or false, got '${value}'`);
+                    return;
+                }
+                this.options.Quiescence = enabled === 'true';
+                this.game.options.quiescence = this.options.Quiescence;
+                break;
+            }
+            case 'endgame': {
+                const enabled = String(value).toLowerCase();
+                if (enabled !== 'true' && enabled !== 'false') {
+                    this.write(`info string Endgame must be true or false, got '${value}'`);
+                    return;
+                }
+                this.options.Endgame = enabled === 'true';
+                this.game.options.endgame = this.options.Endgame;
+                break;
+            }
+            default:
+                this.write(`info string unknown option '${name}'`);
+        }
+    }
+
+    /**
+     * GBChessGame options for the current settings
+     */
+    _gameOptions() {
+        return {
+            quiescence: this.options.Quiescence,
+            endgame: this.options.Endgame,
+            personality: GBPersonality[this.options.Personality.toUpperCase()],
+            evaluator: GBEvaluator[this.options.Evaluator.toUpperCase()],
+            book: this._book(),
+            bookSelection: GBBookSelection[this.options['Book Selection'].toUpperCase()]
+        };
+    }
+
+    /**
+     * GBChessGame options for the worker's searches. The book stays here: book
+     * moves are played without asking the worker. The worker empties its
+     * table itself when the evaluation settings change.
+     */
+    _searchOptions() {
+        const { book, bookSelection, ...options } = this._gameOptions();
+        return { ...options, hashSize: this.options.Hash };
+    }
+
+    /**
+     * Empty the transposition table: the worker is shut down and the next
+     * search starts a new one with an empty table
+     */
+    _clearHash() {
+        this.host.terminate();
+    }
+
+    /**
+     * The opening book to play from, or null when OwnBook is off
+     */
+    _book() {
+        if (!this.options.OwnBook) return null;
+        if (!this.book) this.book = OpeningBook.createDefault();
+        return this.book;
+    }
+
+    /**
+     * position [startpos | fen <fen>] [moves <move1> ... <movei>]
+     */
+    _position(text) {
+        const match = /^position\s+(startpos|fen\s+(.+?))(?:\s+moves\s+(.*))?$/.exec(text);
+        if (!match) {
+            this.write('info string malformed position command');
+            return;
+        }
+
+        try {
+            const options = this._gameOptions();
+            const game = match[2] ? GBChessGame.fromFEN(match[2], options) : new GBChessGame(options);
+            const moves = match[3] ? match[3].trim().split(/\s+/) : [];
+            for (const text of moves) {
+                const move = game.parseUCI(text);
+                game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+            }
+            this.game = game;
+        } catch (error) {
+            this.write(`info string ${error.message}`);
+        }
+    }
+
+    /**
+     * go [depth <x>] [nodes <x>] [movetime <x>] [wtime <x>] [btime <x>] [winc <x>] [binc <x>] [movestogo <x>] [infinite]
+     * One iterative deepening search in the worker, reporting each completed
+     * depth; 'stop' ends it at once with the best move found so far.
+     */
+    async _go(text) {
+        const tokens = text.split(/\s+/).slice(1);
+        const params = {};
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i] === 'infinite') {
+                params.infinite = true;
+            } else if (i + 1 < tokens.length && /^-?\d+$/.test(tokens[i + 1])) {
+                params[tokens[i]] = Number(tokens[++i]);
+            }
+        }
+
+        this.stopRequested = false;
+        const game = this.game;
+
+        const { book, bookSelection } = game.options;
+        const bookMove = book ? book.pick(game, { selection: bookSelection }) : null;
+        if (bookMove) {
+            this.write(`info string book move ${game.moveToUCI(bookMove)}`);
+            this.write(`bestmove ${game.moveToUCI(bookMove)}`);
+            return;
+        }
+
+        const difficulty = GBDifficulty[this.options.Difficulty.toUpperCase()];
+        const budget = params.depth || params.infinite ? Infinity : this._timeBudget(params);
+        // A time or node limit ends the search by itself; Difficulty only
+        // caps a bare 'go'
+        const limited = params.infinite || budget !== Infinity || params.nodes;
+        const maxDepth = params.depth || (limited ? MAX_DEPTH : difficulty);
+
+        let bestMove = null;
+        try {
+            const search = this.host.search({
+                fen: game.startFEN,
+                moves: game.history().map(move => game.moveToUCI(move)),
+                options: { maxDepth, timeMs: budget, nodes: params.nodes },
+                gameOptions: this._searchOptions(),
+                onInfo: info => {
+                    // UCI scores are from the engine's point of view
+                    const sign = game.whiteToMove ? 1 : -1;
+                    const described = describeScore(info.score);
+                    const score = described.type === 'mate' ? `mate ${sign * described.moves}` : `cp ${sign * described.value}`;
+                    const time = Math.round(info.timeMs);
+                    this.write(`info depth ${info.depth} score ${score} nodes ${info.nodes} ` +
+                        `nps ${Math.round(info.nodes * 1000 / Math.max(1, time))} time ${time} ` +
+                        `pv ${info.pv.map(m => game.moveToUCI(m)).join(' ')}`);
+                }
+            });
+            // 'stop' may have come while the worker was starting
+            if (this.stopRequested) this.host.stop();
+            bestMove = await search;
+        } catch (error) {
+            this.write(`info string search failed: ${error.message}`);
+        }
+
+        // In infinite mode bestmove must wait for 'stop'
+        if (params.infinite && !this.stopRequested) {
+            await new Promise(resolve => {
+                this._wakeOnStop = resolve;
+            });
+        }
+
+        this.write(`bestmove ${bestMove ? game.moveToUCI(bestMove) : '0000'}`);
+    }
+
+    /**
+     * Milliseconds to spend on this move under the GUI's time control
+     */
+    _timeBudget(params) {
+        if (params.movetime) return params.movetime;
+
+        const time = this.game.whiteToMove ? params.wtime : params.btime;
+        if (time === undefined) return Infinity;
+
+        const increment = (this.game.whiteToMove ? params.winc : params.binc) || 0;
+        const movesToGo = params.movestogo || DEFAULT_MOVES_TO_GO;
+        return Math.max(1, Math.min(time / 2, time / movesToGo + increment * 0.8));
+    }
+
+    _stop() {
+        this.stopRequested = true;
+        this.host.stop();
+        if (this._wakeOnStop) {
+            this._wakeOnStop();
+            this._wakeOnStop = null;
+        }
+    }
+}
+
+// Run as a UCI engine when executed directly
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+    const engine = new UCIEngine({
+        write: line => process.stdout.write(line + '\n'),
+        exit: () => process.exit(0)
+    });
+    // Options may also be given on the command line, e.g. --personality=aggressive
+    for (const arg of process.argv.slice(2)) {
+        const match = /^--([\w-]+)=(.*)$/.exec(arg);
+        if (match) engine.handle(`setoption name ${match[1].replace(/-/g, ' ')} value ${match[2]}`);
+    }
+
+    const input = createInterface({ input: process.stdin });
+    input.on('line', line => engine.handle(line));
+    input.on('close', async () => {
+        // Finish a search still running when input ends (e.g. piped commands)
+        await engine.search;
+        process.exit(0);
+    });
+}